@@ -0,0 +1,12 @@
+/**
+ * canvas.js — Offscreen canvas helper shared by the compositor, the resampler,
+ * the tilemap, the RPG Maker sheets and project files.
+ */
+
+/** A blank w × h canvas. */
+export function createCanvas(w, h) {
+  const c = document.createElement('canvas');
+  c.width  = w;
+  c.height = h;
+  return c;
+}
@@ -0,0 +1,90 @@
+/**
+ * defold.js — Defold .tilesource and autotile lookup module.
+ *
+ * Defold has no built-in autotiling, so the preset keeps the generated sheet
+ * layout and adds:
+ *
+ *   {name}.tilesource        — tile source over the PNG
+ *   {name}_autotile.lua      — module mapping bitmask → 1-based tile index,
+ *                              for tilemap.set_tile() in game code, plus
+ *                              M.background for two-terrain sets
+ *
+ * Bit layouts match tilegen.js:
+ *   16-tile       bitmask   bit0=N, bit1=E, bit2=S, bit3=W
+ *   47/256-tile   bitmask8  bit0=N, bit1=NE … bit7=NW (47: normalize first)
+ *   Wang / dual   corners   bit0=NE, bit1=SE, bit2=SW, bit3=NW
+ *   Hex           bitmask6  one bit per side, clockwise (see tilegen.js)
+ */
+
+import { isCornerSet, isHexSet, sheetLayout, tileCell } from './tilegen.js';
+import { isRuleTile } from './rules.js';
+
+/**
+ * Build the .tilesource text.
+ *
+ * Defold's tile_margin pads every tile on all sides rather than the sheet, so
+ * the sheet must be laid out without an outer margin beyond that: tile_margin
+ * is the layout margin and tile_spacing what is left of the gap.
+ *
+ * @param {string} imagePath  project-absolute path, e.g. "/tiles/foo.png"
+ * @param {{ width: number, height: number }} tileSize
+ * @param {Object} layout     sheet margin / spacing, see sheetLayout()
+ * @returns {string}
+ */
+export function buildDefoldTileSource(imagePath, tileSize, layout = sheetLayout()) {
+  return [
+    `image: "${imagePath}"`,
+    `tile_width: ${tileSize.width}`,
+    `tile_height: ${tileSize.height}`,
+    `tile_margin: ${layout.margin}`,
+    `tile_spacing: ${layout.spacing - 2 * layout.margin}`,
+    `collision: ""`,
+    `material_tag: "tile"`,
+    `collision_groups: "default"`,
+    `extrude_borders: 2`,
+    `inner_padding: 0`,
+    `sprite_trim_mode: SPRITE_TRIM_MODE_OFF`,
+    ``,
+  ].join('\n');
+}
+
+/**
+ * Build the Lua lookup module.
+ * @param {TileDescriptor[]} tiles
+ * @param {{ width: number, height: number }} tileSize
+ * @param {number}           columns  sheet width in tiles
+ * @param {string}           algorithm
+ * @param {Object}           layout    sheet margin / spacing, see sheetLayout()
+ * @returns {string}
+ */
+export function buildDefoldLookup(tiles, tileSize, columns, algorithm, layout = sheetLayout()) {
+  const key = isHexSet(algorithm)                        ? 'bitmask6'
+            : isCornerSet(algorithm)                     ? 'corners'
+            : algorithm === '47' || algorithm === '256'  ? 'bitmask8'
+            :                                              'bitmask';
+
+  const indexOf = tile => {
+    const { col, row } = tileCell(tile, tileSize, layout);
+    return row * columns + col + 1;
+  };
+  const bgTile  = tiles.find(tile => tile.background);
+  // One index per mask: variants and animation frames are left for game code
+  const entries = tiles.filter(isRuleTile).map(tile => {
+    const mask  = tile[key] ?? tile.bitmask4 ?? 0;
+    return `  [${mask}] = ${indexOf(tile)},`;
+  });
+
+  return [
+    `-- Generated by BaconTileSetter — ${algorithm} set, keyed by ${key}.`,
+    `-- Returns the 1-based tile index to pass to tilemap.set_tile().`,
+    `local M = {}`,
+    ``,
+    `M.tiles = {`,
+    ...entries,
+    `}`,
+    ...(bgTile ? [``, `M.background = ${indexOf(bgTile)}`] : []),
+    ``,
+    `return M`,
+    ``,
+  ].join('\n');
+}
@@ -1,10 +1,18 @@
 /**
- * exporter.js — Export utilities for PNG and Unity .unitypackage.
+ * exporter.js — Export utilities for PNG, Unity .unitypackage, Godot, Tiled, LDtk,
+ * GameMaker, Defold and RPG Maker A2.
  * Unity 6 (6000.3.8f1) — confirmed values measured from actual project.
  *
  * Exports:
  *   exportPNG(canvas, filename)
- *   exportUnityPackage(canvas, tiles, tileSize, algorithm, name)   [async]
+ *   exportUnityPackage(canvas, tiles, tileSize, algorithm, name, options)   [async]
+ *   exportGodotTileSet(canvas, tiles, tileSize, algorithm, name, options)   [async]
+ *   exportTiledTileset(canvas, tiles, tileSize, algorithm, name, options)   [async]
+ *   exportLDtkProject(canvas, tiles, tileSize, algorithm, name, options)    [async]
+ *   exportGameMaker(canvas, tiles, tileSize, algorithm, name, options)      [async]
+ *   exportDefold(canvas, tiles, tileSize, algorithm, name, options)         [async]
+ *   exportRPGMakerA2(images, tileSize, name, blend)
+ *   exportProject(project, name)
  *
  * ─────────────────────────────────────────────────────────────
  * Unity .unitypackage structure (gzip-compressed ustar TAR):
@@ -15,10 +23,28 @@
  *
  * Sprite internalID in TextureImporter = i + 1  (1-based).
  * Sprite fileID in cross-asset references = same internalID value.
+ *
+ * `options` carries the editor settings some formats need:
+ *   background      background terrain name, or null for a single terrain
+ *   animationSpeed  frames per second of animated slots
+ *   padding         { margin, spacing, extrude } the sheet was generated with
+ *   orientation     'orthogonal', 'isometric' (diamond tiles) or 'hexagonal'
+ *   layout          layout template the sheet was laid out with, or null
+ *
+ * `tileSize` is { width, height } as generated; sizes may be odd or
+ * rectangular.  LDtk and RPG Maker only take square, orthogonal tiles.
  * ─────────────────────────────────────────────────────────────
  */
 
 import { buildTar, gzip } from './tar.js';
+import { ruleNeighbors, ruleOrder, tileVariants, tileFrames, weightedRepeat } from './rules.js';
+import { buildGodotTileSet } from './godot.js';
+import { buildTiledTileset } from './tiled.js';
+import { buildLDtkProject } from './ldtk.js';
+import { buildA2Sheet } from './rpgmaker.js';
+import { gameMakerCells, buildGameMakerTileSet } from './gamemaker.js';
+import { buildDefoldTileSource, buildDefoldLookup } from './defold.js';
+import { arrangeTiles, repadSheet, sheetLayout, sheetCells, BASE_VARIANT_WEIGHT, isHexSet } from './tilegen.js';
 
 const enc = new TextEncoder();
 
@@ -29,6 +55,20 @@ const enc = new TextEncoder();
 // com.unity.2d.tilemap.extras 6.0.1 — confirmed script GUIDs
 const RULETILE_SCRIPT_GUID = '9d1514134bc4fbd41bb739b1b9a49231';
 
+// RuleTile.TilingRuleOutput.OutputSprite
+const OUTPUT_SINGLE    = 0;
+const OUTPUT_RANDOM    = 1;
+const OUTPUT_ANIMATION = 2;
+
+// GridLayout.CellLayout
+const CELL_LAYOUT_RECTANGLE = 0;
+const CELL_LAYOUT_ISOMETRIC = 2;
+
+// An isometric Grid puts cell +x up-right and +y up-left, so the tile's grid
+// north (its upper-right side) is Unity's E.  Unity m_Neighbors slot k reads
+// ruleNeighbors() entry ISO_NEIGHBOR_ORDER[k], both in [NW, N, NE, W, E, SW, S, SE].
+const ISO_NEIGHBOR_ORDER = [5, 3, 0, 6, 1, 7, 4, 2];
+
 // Component class IDs measured from actual Unity 6 (6000.3.8f1) prefab
 const CID_GRID            = '156049354';   // !u!156049354
 const CID_TILEMAP         = '1839735485';  // !u!1839735485
@@ -40,11 +80,6 @@ const GP_SCRIPT_FILEID = 12395;
 const GP_SCRIPT_GUID   = '0000000000000000e000000000000000';
 
 
-// RuleTile neighbor values (confirmed from working rule.asset)
-const NBR_THIS    = 1;  // same tile type
-const NBR_NOTTHIS = 2;  // different tile type
-// 0 = don't care
-
 // ─────────────────────────────────────────────────────────────
 // PNG Export
 // ─────────────────────────────────────────────────────────────
@@ -56,6 +91,40 @@ export function exportPNG(canvas, filename = 'tileset.png') {
   }, 'image/png');
 }
 
+// ─────────────────────────────────────────────────────────────
+// Project Save
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Download a project document (see buildProject() in project.js) as `{name}.bacon`.
+ * @param {Object} project
+ * @param {string} name
+ */
+export function exportProject(project, name) {
+  const safeName = name.replace(/[^a-zA-Z0-9_]/g, '_') || 'BaconTileSet';
+  const blob     = new Blob([JSON.stringify(project)], { type: 'application/json' });
+  triggerDownload(URL.createObjectURL(blob), `${safeName}.bacon`);
+}
+
+// ─────────────────────────────────────────────────────────────
+// RPG Maker A2 Export
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Writes the five slot images as an A2 autotile sheet (block 0 filled).
+ * Built from the slot images rather than a generated set, so it works with
+ * any algorithm.  MV/MZ expect tileSize = 48.
+ *
+ * @param {Object} images    - { main, top, bottom, left, right }
+ * @param {number} tileSize  square tile edge
+ * @param {string} name      user-defined tileset name
+ * @param {Object} blend     compositing settings, see composeQuadrants()
+ */
+export function exportRPGMakerA2(images, tileSize, name = 'BaconTileSet', blend = {}) {
+  const safeName = name.replace(/[^a-zA-Z0-9_]/g, '_') || 'BaconTileSet';
+  exportPNG(buildA2Sheet(images, tileSize, blend), `${safeName}-A2.png`);
+}
+
 // ─────────────────────────────────────────────────────────────
 // Unity .unitypackage Export
 // ─────────────────────────────────────────────────────────────
@@ -63,11 +132,16 @@ export function exportPNG(canvas, filename = 'tileset.png') {
 /**
  * @param {HTMLCanvasElement} canvas
  * @param {TileDescriptor[]}  tiles
- * @param {number}            tileSize
- * @param {string}            algorithm  '16' | '47'
+ * @param {{ width: number, height: number }} tileSize
+ * @param {string}            algorithm  '16' | '47' | '256' | 'wang' | 'dual'
  * @param {string}            name       user-defined tileset name
+ * @param {Object}            options    { animationSpeed, orientation }
+ *
+ * Hex sets are not exported: they need a HexagonalRuleTile, whose script GUID
+ * has not been confirmed like RULETILE_SCRIPT_GUID.
  */
-export async function exportUnityPackage(canvas, tiles, tileSize, algorithm, name = 'BaconTileSet') {
+export async function exportUnityPackage(canvas, tiles, tileSize, algorithm, name = 'BaconTileSet', options = {}) {
+  if (isHexSet(algorithm)) throw new Error('Unity export does not support hex sets');
   const safeName = name.replace(/[^a-zA-Z0-9_]/g, '_') || 'BaconTileSet';
 
   const pngBlob = await canvasToBlob(canvas);
@@ -87,12 +161,16 @@ export async function exportUnityPackage(canvas, tiles, tileSize, algorithm, nam
   const ruleTileGuid = generateGuid();
   const ruleTileName = `${safeName}RuleTile`;
   const ruleTilePath = `Assets/${safeName}/Tiles/${ruleTileName}.asset`;
-  const ruleTileYaml = buildRuleTileAsset(tiles, pngGuid, algorithm, ruleTileName, spriteIds);
+  const ruleTileYaml = buildRuleTileAsset(tiles, pngGuid, algorithm, ruleTileName, spriteIds,
+                                          options.animationSpeed, options.orientation);
 
   const paletteGuid = generateGuid();
   const paletteName = `${safeName}Palette`;
   const palettePath = `Assets/${safeName}/Palettes/${paletteName}.prefab`;
-  const paletteYaml = buildTilePalette(paletteName, ruleTileGuid, pngGuid, spriteIds[0]);
+  // Two-terrain sets: the background Tile sits next to the RuleTile in the palette
+  const bgIndex     = tiles.findIndex(t => t.background);
+  const bgTile      = bgIndex >= 0 ? { guid: tileEntries[bgIndex].guid, spriteId: spriteIds[bgIndex] } : null;
+  const paletteYaml = buildTilePalette(paletteName, ruleTileGuid, pngGuid, spriteIds[0], tileSize, options.orientation, bgTile);
 
   const entries = [
     { name: `${pngGuid}/`,           type: '5' },
@@ -126,13 +204,123 @@ export async function exportUnityPackage(canvas, tiles, tileSize, algorithm, nam
   );
 }
 
+// ─────────────────────────────────────────────────────────────
+// Folder exports (Godot, Tiled, LDtk, GameMaker, Defold)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Godot 4: `{name}/{name}-{algorithm}.png` + `{name}/{name}.tres`.
+ * Extract the folder anywhere under a Godot 4 project.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {TileDescriptor[]}  tiles
+ * @param {{ width: number, height: number }} tileSize
+ * @param {string}            algorithm
+ * @param {string}            name       user-defined tileset name
+ * @param {Object}            options    { background, animationSpeed, padding }
+ */
+export function exportGodotTileSet(canvas, tiles, tileSize, algorithm, name = 'BaconTileSet', options = {}) {
+  const layout = sheetLayout(options.padding);
+  return exportFolderArchive(canvas, algorithm, name, 'godot', (safeName, pngFile) => [
+    { file: `${safeName}.tres`,
+      text: buildGodotTileSet(tiles, tileSize, algorithm, pngFile, name, { ...options, layout }) },
+  ]);
+}
+
+/**
+ * Tiled: `{name}/{name}-{algorithm}.png` + `{name}/{name}.tsx`.
+ * The .tsx carries a Wang set so Tiled's terrain brush works as soon as the
+ * tileset is added to a map.  Animated tiles carry their frames.
+ */
+export function exportTiledTileset(canvas, tiles, tileSize, algorithm, name = 'BaconTileSet', options = {}) {
+  const layout = sheetLayout(options.padding);
+  return exportFolderArchive(canvas, algorithm, name, 'tiled', (safeName, pngFile) => [
+    { file: `${safeName}.tsx`,
+      text: buildTiledTileset(tiles, tileSize, canvas.width, canvas.height, algorithm, pngFile, name,
+                              { ...options, layout }) },
+  ]);
+}
+
+/**
+ * LDtk: `{name}/{name}-{algorithm}.png` + `{name}/{name}.ldtk`.
+ * The project holds an IntGrid layer whose auto-layer rules paint the tileset.
+ */
+export function exportLDtkProject(canvas, tiles, tileSize, algorithm, name = 'BaconTileSet', options = {}) {
+  const layout = sheetLayout(options.padding);
+  return exportFolderArchive(canvas, algorithm, name, 'ldtk', (safeName, pngFile) => [
+    { file: `${safeName}.ldtk`,
+      text: buildLDtkProject(tiles, tileSize, canvas.width, canvas.height, algorithm, pngFile, name, layout) },
+  ]);
+}
+
+/**
+ * GameMaker: the sheet re-packed with GameMaker's empty tile 0 in front, plus
+ * `ts_{name}.yy`.  Import the PNG as sprite `spr_{name}` for the tile set.
+ */
+export function exportGameMaker(canvas, tiles, tileSize, algorithm, name = 'BaconTileSet', options = {}) {
+  const layout  = sheetLayout(options.padding);
+  const { cells, columns, autoTiles } = gameMakerCells(tiles, algorithm, tileSize, options.layout, layout);
+  const packed  = arrangeTiles(canvas, tiles, tileSize, cells, columns, options.padding);
+  const count   = columns * Math.ceil(cells.length / columns);
+  return exportFolderArchive(packed.canvas, algorithm, name, 'gamemaker', safeName => [
+    { file: `ts_${safeName}.yy`, text: buildGameMakerTileSet(safeName, tileSize, count, autoTiles, columns, layout) },
+  ]);
+}
+
+/**
+ * Defold: `{name}/{name}-{algorithm}.png` + `.tilesource` + `_autotile.lua`.
+ * The tile source expects the folder at the project root.  Defold has no
+ * sheet margin, so a padded sheet is laid out again without one.
+ */
+export function exportDefold(canvas, tiles, tileSize, algorithm, name = 'BaconTileSet', options = {}) {
+  const padding = { ...options.padding, margin: 0 };
+  const sheet   = repadSheet({ canvas, tiles }, tileSize, options.padding, padding);
+  const layout  = sheetLayout(padding);
+  const columns = sheetCells(sheet.canvas.width, tileSize.width, layout);
+  return exportFolderArchive(sheet.canvas, algorithm, name, 'defold', (safeName, pngFile) => [
+    { file: `${safeName}.tilesource`,
+      text: buildDefoldTileSource(`/${safeName}/${pngFile}`, tileSize, layout) },
+    { file: `${safeName}_autotile.lua`,
+      text: buildDefoldLookup(sheet.tiles, tileSize, columns, algorithm, layout) },
+  ]);
+}
+
+/**
+ * Shared body of the folder exports: the spritesheet plus engine files in one
+ * `{name}/` folder, gzip-tarred and downloaded as `{name}-{algorithm}-{suffix}.tar.gz`.
+ *
+ * @param {function(safeName: string, pngFile: string): {file: string, text: string}[]} buildFiles
+ */
+async function exportFolderArchive(canvas, algorithm, name, suffix, buildFiles) {
+  const safeName = name.replace(/[^a-zA-Z0-9_]/g, '_') || 'BaconTileSet';
+
+  const pngBlob = await canvasToBlob(canvas);
+  const pngData = new Uint8Array(await pngBlob.arrayBuffer());
+  const pngFile = `${safeName}-${algorithm}.png`;
+
+  const entries = [
+    { name: `${safeName}/`,           type: '5' },
+    { name: `${safeName}/${pngFile}`, data: pngData },
+  ];
+  for (const { file, text } of buildFiles(safeName, pngFile)) {
+    entries.push({ name: `${safeName}/${file}`, data: enc.encode(text) });
+  }
+
+  const compressed = await gzip(buildTar(entries));
+  triggerDownload(
+    URL.createObjectURL(new Blob([compressed], { type: 'application/gzip' })),
+    `${safeName}-${algorithm}-${suffix}.tar.gz`
+  );
+}
+
 // ─────────────────────────────────────────────────────────────
 // Spritesheet TextureImporter meta
 // ─────────────────────────────────────────────────────────────
 
 /**
  * Unity sprite rects use bottom-up Y:  unityY = imageH - tile.y - tile.height
- * spritePixelsToUnits = tileSize (1 tile = 1 Unity unit).
+ * spritePixelsToUnits = tile width (1 tile = 1 Unity unit across; a
+ * non-square tile is height / width units tall, matching the palette grid).
  * spriteIds[i]: pre-generated large int64 — written as internalID and in nameFileIdTable.
  *
  * serializedVersion: 13 (Unity 6 / 6000.x).
@@ -226,7 +414,7 @@ function buildTextureMeta(guid, tiles, imageH, tileSize, spriteIds) {
     `  spriteMeshType: 1`,
     `  alignment: 0`,
     `  spritePivot: {x: 0.5, y: 0.5}`,
-    `  spritePixelsToUnits: ${tileSize}`,
+    `  spritePixelsToUnits: ${tileSize.width}`,
     `  spriteBorder: {x: 0, y: 0, z: 0, w: 0}`,
     `  spriteGenerateFallbackPhysicsShape: 1`,
     `  alphaUsage: 1`,
@@ -357,8 +545,14 @@ function buildTileAssets(tiles, textureGuid, safeName, spriteIds) {
  * Script GUID: 9d1514134bc4fbd41bb739b1b9a49231
  * (stable across Unity 2020–Unity 6)
  */
-function buildRuleTileAsset(tiles, textureGuid, algorithm, assetName, spriteIds) {
-  const rulesYaml = tiles.map((tile, i) => buildRuleEntry(tile, textureGuid, algorithm, spriteIds[i])).join('\n');
+function buildRuleTileAsset(tiles, textureGuid, algorithm, assetName, spriteIds, animationSpeed = 1, orientation = 'orthogonal') {
+  // RuleTile picks the first matching rule, so emit rules in ruleOrder()
+  const order     = ruleOrder(tiles, algorithm);
+  const rulesYaml = order.map(i => {
+    const variants = tileVariants(tiles, i).map(v => ({ value: spriteIds[v], weight: tiles[v].weight }));
+    const frames   = tileFrames(tiles, i).map(f => spriteIds[f]);
+    return buildRuleEntry(tiles[i], textureGuid, algorithm, spriteIds[i], variants, frames, animationSpeed, orientation);
+  }).join('\n');
 
   return [
     `%YAML 1.1`,
@@ -387,62 +581,22 @@ function buildRuleTileAsset(tiles, textureGuid, algorithm, assetName, spriteIds)
  * One tiling-rule entry for a single tile.
  *
  * m_Neighbors: hex-encoded string of 8 int32-LE values, always all 8 directions (NW,N,NE,W,E,SW,S,SE).
- * Values: 0=don't care, 1=This (NBR_THIS), 2=NotThis (NBR_NOTTHIS).
+ * Values: 0=don't care, 1=This (NBR_THIS), 2=NotThis (NBR_NOTTHIS) — see rules.js.
  * Confirmed format from working rule.asset — no m_Id, no m_NeighborPositions, no m_GameObject.
  *
- * For 16-tile: cardinals only (diagonals = 0/don't care)
- * For 47-tile: all 8; diagonal = This if set, NotThis if inner-corner, else don't care
+ * With variants the rule switches to Random output and lists the base sprite
+ * and every variant sprite, each repeated in proportion to its weight.
+ * With animation frames it switches to Animation output instead and lists the
+ * base sprite followed by the frame sprites; a rule cannot do both, so
+ * animation wins over variants.
+ *
+ * Isometric sets rotate the pattern onto Unity's isometric cell axes
+ * (ISO_NEIGHBOR_ORDER).
  */
-function buildRuleEntry(tile, textureGuid, algorithm, spriteFileId) {
-
-  let nbrValues;  // [NW, N, NE, W, E, SW, S, SE]; 0 = don't care
-
-  if (algorithm === '47') {
-    const b     = tile.bitmask8 !== undefined ? tile.bitmask8 : 0;
-    const hasN  = !!(b & 0x01);
-    const hasNE = !!(b & 0x02);
-    const hasE  = !!(b & 0x04);
-    const hasSE = !!(b & 0x08);
-    const hasS  = !!(b & 0x10);
-    const hasSW = !!(b & 0x20);
-    const hasW  = !!(b & 0x40);
-    const hasNW = !!(b & 0x80);
-
-    // Diagonal: This if present; NotThis only when both adjacent cardinals present (inner corner); else don't care
-    const nw = hasNW ? NBR_THIS : (hasN && hasW ? NBR_NOTTHIS : 0);
-    const ne = hasNE ? NBR_THIS : (hasN && hasE ? NBR_NOTTHIS : 0);
-    const sw = hasSW ? NBR_THIS : (hasS && hasW ? NBR_NOTTHIS : 0);
-    const se = hasSE ? NBR_THIS : (hasS && hasE ? NBR_NOTTHIS : 0);
-
-    nbrValues = [
-      nw,
-      hasN ? NBR_THIS : NBR_NOTTHIS,
-      ne,
-      hasW ? NBR_THIS : NBR_NOTTHIS,
-      hasE ? NBR_THIS : NBR_NOTTHIS,
-      sw,
-      hasS ? NBR_THIS : NBR_NOTTHIS,
-      se,
-    ];
-  } else {
-    // 16-tile: 4-bit cardinal bitmask (bit0=N, bit1=E, bit2=S, bit3=W)
-    const b    = tile.bitmask !== undefined ? tile.bitmask : 0;
-    const hasN = !!(b & 0x1);
-    const hasE = !!(b & 0x2);
-    const hasS = !!(b & 0x4);
-    const hasW = !!(b & 0x8);
-
-    nbrValues = [
-      0,                             // NW: don't care
-      hasN ? NBR_THIS : NBR_NOTTHIS, // N
-      0,                             // NE: don't care
-      hasW ? NBR_THIS : NBR_NOTTHIS, // W
-      hasE ? NBR_THIS : NBR_NOTTHIS, // E
-      0,                             // SW: don't care
-      hasS ? NBR_THIS : NBR_NOTTHIS, // S
-      0,                             // SE: don't care
-    ];
-  }
+function buildRuleEntry(tile, textureGuid, algorithm, spriteFileId, variants = [], frames = [], animationSpeed = 1,
+                        orientation = 'orthogonal') {
+  const pattern   = ruleNeighbors(tile, algorithm);  // [NW, N, NE, W, E, SW, S, SE]
+  const nbrValues = orientation === 'isometric' ? ISO_NEIGHBOR_ORDER.map(k => pattern[k]) : pattern;
 
   // Encode m_Neighbors as hex: 8 × int32-LE (4 bytes each = 8 hex chars each → 64 chars total)
   // e.g. value 0 → '00000000', value 1 → '01000000', value 2 → '02000000'
@@ -450,14 +604,19 @@ function buildRuleEntry(tile, textureGuid, algorithm, spriteFileId) {
     .map(v => v.toString(16).padStart(2, '0') + '000000')
     .join('');
 
+  const output  = frames.length ? OUTPUT_ANIMATION : variants.length ? OUTPUT_RANDOM : OUTPUT_SINGLE;
+  const sprites = output === OUTPUT_ANIMATION ? [spriteFileId, ...frames]
+                : output === OUTPUT_RANDOM    ? weightedRepeat([{ value: spriteFileId, weight: BASE_VARIANT_WEIGHT }, ...variants])
+                :                               [spriteFileId];
+
   return [
     `  - m_Neighbors: ${neighborsHex}`,
     `    m_Sprites:`,
-    `    - {fileID: ${spriteFileId}, guid: ${textureGuid}, type: 3}`,
-    `    m_AnimationSpeed: 1`,
+    ...sprites.map(id => `    - {fileID: ${id}, guid: ${textureGuid}, type: 3}`),
+    `    m_AnimationSpeed: ${animationSpeed}`,
     `    m_PerlinScale: 0.5`,
     `    m_RuleTransform: 0`,
-    `    m_Output: 0`,
+    `    m_Output: ${output}`,
     `    m_ColliderType: 1`,
     `    m_RandomTransform: 0`,
   ].join('\n');
@@ -468,7 +627,11 @@ function buildRuleEntry(tile, textureGuid, algorithm, spriteFileId) {
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Generates an empty TilePalette prefab with Unity 6 confirmed class IDs.
+ * Generates a TilePalette prefab with Unity 6 confirmed class IDs.
+ * Holds the RuleTile at (0, 0) and, for two-terrain sets, the plain
+ * background Tile at (1, 0).  The grid cell is 1 unit wide and
+ * height / width units tall, so non-square sprites fill it exactly.
+ * Isometric sets use the Isometric cell layout instead of Rectangle.
  *
  * Document order (matches actual Unity 6 output):
  *   1. Layer1 GameObject  (!u!1)
@@ -483,7 +646,7 @@ function buildRuleEntry(tile, textureGuid, algorithm, spriteFileId) {
  * GridPalette script: fileID:12395, guid:000...e000..., type:0
  *   UnityEditor.dll built-in — version-independent.
  */
-function buildTilePalette(paletteName, ruleTileGuid, textureGuid, spriteId0) {
+function buildTilePalette(paletteName, ruleTileGuid, textureGuid, spriteId0, tileSize, orientation = 'orthogonal', bgTile = null) {
   const layerGoId     = randomFileId();
   const layerTransId  = randomFileId();
   const tilemapId     = randomFileId();
@@ -493,6 +656,10 @@ function buildTilePalette(paletteName, ruleTileGuid, textureGuid, spriteId0) {
   const gridId        = randomFileId();
   const gridPaletteId = randomFileId();
 
+  // Palette cells left to right: RuleTile, then the background Tile if any
+  const paletteCells = [{ tileGuid: ruleTileGuid, spriteId: spriteId0 }];
+  if (bgTile) paletteCells.push({ tileGuid: bgTile.guid, spriteId: bgTile.spriteId });
+
   return [
     `%YAML 1.1`,
     `%TAG !u! tag:unity3d.com,2011:`,
@@ -544,24 +711,30 @@ function buildTilePalette(paletteName, ruleTileGuid, textureGuid, spriteId0) {
     `  m_GameObject: {fileID: ${layerGoId}}`,
     `  m_Enabled: 1`,
     `  m_Tiles:`,
-    `  - first: {x: 0, y: 0, z: 0}`,
-    `    second:`,
-    `      m_TileIndex: 0`,
-    `      m_TileSpriteIndex: 0`,
-    `      m_TileMatrixIndex: 0`,
-    `      m_TileColorIndex: 0`,
-    `      m_ObjectToInstantiate: {fileID: 0}`,
-    `      m_TileFlags: 2`,
-    `      m_ColliderType: 1`,
+    ...paletteCells.flatMap((_, i) => [
+      `  - first: {x: ${i}, y: 0, z: 0}`,
+      `    second:`,
+      `      m_TileIndex: ${i}`,
+      `      m_TileSpriteIndex: ${i}`,
+      `      m_TileMatrixIndex: 0`,
+      `      m_TileColorIndex: 0`,
+      `      m_ObjectToInstantiate: {fileID: 0}`,
+      `      m_TileFlags: 2`,
+      `      m_ColliderType: 1`,
+    ]),
     `  m_AnimatedTiles: {}`,
     `  m_TileAssetArray:`,
-    `  - m_RefCount: 1`,
-    `    m_Data: {fileID: 11400000, guid: ${ruleTileGuid}, type: 2}`,
+    ...paletteCells.flatMap(({ tileGuid }) => [
+      `  - m_RefCount: 1`,
+      `    m_Data: {fileID: 11400000, guid: ${tileGuid}, type: 2}`,
+    ]),
     `  m_TileSpriteArray:`,
-    `  - m_RefCount: 1`,
-    `    m_Data: {fileID: ${spriteId0}, guid: ${textureGuid}, type: 3}`,
+    ...paletteCells.flatMap(({ spriteId }) => [
+      `  - m_RefCount: 1`,
+      `    m_Data: {fileID: ${spriteId}, guid: ${textureGuid}, type: 3}`,
+    ]),
     `  m_TileMatrixArray:`,
-    `  - m_RefCount: 1`,
+    `  - m_RefCount: ${paletteCells.length}`,
     `    m_Data:`,
     `      e00: 1`,
     `      e01: 0`,
@@ -580,13 +753,13 @@ function buildTilePalette(paletteName, ruleTileGuid, textureGuid, spriteId0) {
     `      e32: 0`,
     `      e33: 1`,
     `  m_TileColorArray:`,
-    `  - m_RefCount: 1`,
+    `  - m_RefCount: ${paletteCells.length}`,
     `    m_Data: {r: 1, g: 1, b: 1, a: 1}`,
     `  m_TileObjectToInstantiateArray: []`,
     `  m_AnimationFrameRate: 1`,
     `  m_Color: {r: 1, g: 1, b: 1, a: 1}`,
     `  m_Origin: {x: 0, y: 0, z: 0}`,
-    `  m_Size: {x: 1, y: 1, z: 1}`,
+    `  m_Size: {x: ${paletteCells.length}, y: 1, z: 1}`,
     `  m_TileAnchor: {x: 0.5, y: 0.5, z: 0}`,
     `  m_TileOrientation: 0`,
     `  m_TileOrientationMatrix:`,
@@ -711,9 +884,9 @@ function buildTilePalette(paletteName, ruleTileGuid, textureGuid, spriteId0) {
     `  m_PrefabAsset: {fileID: 0}`,
     `  m_GameObject: {fileID: ${rootGoId}}`,
     `  m_Enabled: 1`,
-    `  m_CellSize: {x: 1, y: 1, z: 0}`,
+    `  m_CellSize: {x: 1, y: ${tileSize.height / tileSize.width}, z: 0}`,
     `  m_CellGap: {x: 0, y: 0, z: 0}`,
-    `  m_CellLayout: 0`,
+    `  m_CellLayout: ${orientation === 'isometric' ? CELL_LAYOUT_ISOMETRIC : CELL_LAYOUT_RECTANGLE}`,
     `  m_CellSwizzle: 0`,
 
     // ── GridPalette MonoBehaviour (sub-asset — no parent GameObject) ──
@@ -0,0 +1,145 @@
+/**
+ * gamemaker.js — GameMaker tileset layout and .yy tile set resource.
+ *
+ * GameMaker always treats tile 0 of a tile set as the empty tile, and its auto
+ * tile sets list their tiles in the fixed order of the tile set editor's auto
+ * tile template.  This preset packs:
+ *
+ *   cell 0      — transparent (GameMaker's empty tile)
+ *   cell 1…N    — the auto tile slots in template order (GM_TEMPLATES), then
+ *                 every other tile (variants, frames, background) in
+ *                 descriptor order
+ *
+ * on an 8-column grid, so the 47-tile template fills exactly 8 × 6 cells.  A
+ * sheet laid out with a layout template (layouts.js) keeps that layout
+ * instead, moved down by one blank row so that cell 0 is still empty.
+ *
+ * The .yy lists one auto tile set whose `tiles` array maps template slot k →
+ * the cell holding the tile with that mask, found through the mask table, so
+ * the mapping does not depend on the order tilegen.js generates tiles in.
+ *
+ * GameMaker's 47-tile template is the blob set (normalized bitmask8).  Its
+ * 16-tile template is corner based — it has no one-tile-wide paths — so it
+ * is filled from the Wang 2-corner set; the cardinal 16-tile set has no
+ * GameMaker counterpart.  Other sets are packed without an auto tile set.
+ *
+ * Padding settings carry over as the tile set's offset and separation.
+ */
+
+import { sheetLayout, tileCell, layoutKey } from './tilegen.js';
+import { isRuleTile } from './rules.js';
+
+export const GM_COLUMNS = 8;
+
+// Auto tile templates: the mask in each template slot, row by row as the tile
+// set editor shows them (slot k = k-th entry).  Masks as layoutKey():
+// normalized bitmask8 (N=1, NE=2 … NW=128) and Wang corners (NE=1, SE=2,
+// SW=4, NW=8).
+const GM_TEMPLATE_47 = [
+  255, 253, 247, 223, 127, 245, 215,  95,
+  125, 221, 119, 213,  87,  93, 117,  85,
+  124, 116,  92,  84, 241, 209, 113,  81,
+  199, 197,  71,  69,  31,  29,  23,  21,
+   28,  20, 112,  80,   7,   5, 193,  65,
+   17,  68,   1,   4,  16,  64,   0,
+];
+
+const GM_TEMPLATE_16 = [
+   2,  6,  4, 14,
+   3, 15, 12, 13,
+   1,  9,  8, 11,
+   0, 10,  5,  7,
+];
+
+// Sets with a GameMaker auto tile template
+const GM_TEMPLATES = { '47': GM_TEMPLATE_47, 'wang': GM_TEMPLATE_16 };
+
+/**
+ * Cell order for arrangeTiles(), the packed sheet's width in cells and the
+ * auto tile set.  Empty tile first, then — without a layout `template` — the
+ * auto tile slots in template order and the remaining tiles after them on
+ * GM_COLUMNS columns; for a sheet laid out with `template`, every tile in its
+ * sheet cell one row down.
+ *
+ * @param {TileDescriptor[]} tiles
+ * @param {string} algorithm
+ * @param {{ width: number, height: number }} tileSize
+ * @param {Object|null} template  layout template of the sheet, see layouts.js
+ * @param {Object}      layout    sheet margin / spacing, see sheetLayout()
+ * @returns {{ cells: (number|null)[], columns: number, autoTiles: number[] }}
+ *          autoTiles: packed cell of each template slot; empty for no auto tile set
+ */
+export function gameMakerCells(tiles, algorithm, tileSize, template = null, layout = sheetLayout()) {
+  const slots = GM_TEMPLATES[algorithm] ?? [];
+  // Descriptor index of the rule tile for each mask
+  const byMask = new Map();
+  tiles.forEach((tile, i) => { if (isRuleTile(tile)) byMask.set(layoutKey(tile, algorithm), i); });
+  const slotTiles = slots.map(mask => {
+    if (!byMask.has(mask)) throw new Error(`No ${algorithm} tile for GameMaker template mask ${mask}`);
+    return byMask.get(mask);
+  });
+
+  let cells, columns;
+  if (template) {
+    columns = template.columns;
+    cells   = new Array(columns).fill(null);
+    tiles.forEach((tile, i) => {
+      const { col, row } = tileCell(tile, tileSize, layout);
+      cells[(row + 1) * columns + col] = i;
+    });
+    cells = Array.from(cells, c => c ?? null);
+  } else {
+    const placed = new Set(slotTiles);
+    columns = GM_COLUMNS;
+    cells   = [null, ...slotTiles, ...tiles.map((_, i) => i).filter(i => !placed.has(i))];
+  }
+  return { cells, columns, autoTiles: slotTiles.map(i => cells.indexOf(i)) };
+}
+
+/**
+ * Build the GMTileSet .yy resource text.
+ *
+ * @param {string} safeName   identifier-safe tileset name
+ * @param {{ width: number, height: number }} tileSize
+ * @param {number} tileCount  cells in the packed sheet (including tile 0)
+ * @param {number[]} autoTiles  tile index of each auto tile slot; empty for no auto tile set
+ * @param {number} columns    packed sheet width in cells
+ * @param {Object} layout     sheet margin / spacing, see sheetLayout()
+ * @returns {string}
+ */
+export function buildGameMakerTileSet(safeName, tileSize, tileCount, autoTiles, columns = GM_COLUMNS,
+                                      layout = sheetLayout()) {
+  const sprite = `spr_${safeName}`;
+  const autoTileSets = autoTiles.length ? [{
+    closed_edge: false,
+    name: `autotile_${safeName}`,
+    resourceType: 'GMAutoTileSet',
+    resourceVersion: '1.0',
+    tiles: autoTiles,
+  }] : [];
+
+  const yy = {
+    resourceType: 'GMTileSet',
+    resourceVersion: '1.0',
+    name: `ts_${safeName}`,
+    autoTileSets,
+    macroPageTiles: { SerialiseHeight: 0, SerialiseWidth: 0, TileSerialiseData: [] },
+    out_columns: columns,
+    out_tilehborder: 2,
+    out_tilevborder: 2,
+    parent: { name: 'Tile Sets', path: 'folders/Tile Sets.yy' },
+    spriteId: { name: sprite, path: `sprites/${sprite}/${sprite}.yy` },
+    spriteNoExport: true,
+    textureGroupId: { name: 'Default', path: 'texturegroups/Default' },
+    tile_count: tileCount,
+    tileAnimationFrames: [],
+    tileAnimationSpeed: 15.0,
+    tileHeight: tileSize.height,
+    tilehsep: layout.spacing,
+    tilevsep: layout.spacing,
+    tileWidth: tileSize.width,
+    tilexoff: layout.margin,
+    tileyoff: layout.margin,
+  };
+  return JSON.stringify(yy, null, 2) + '\n';
+}
@@ -0,0 +1,239 @@
+/**
+ * godot.js — Godot 4 TileSet (.tres) builder.
+ *
+ * Produces a text resource with one TileSetAtlasSource over the generated
+ * spritesheet and a single terrain set.  Peering bits come straight from the
+ * tile descriptors produced by tilegen.js:
+ *
+ *   16-tile         → Match Sides             (bitmask, bit0=N … bit3=W)
+ *   47 / 256-tile   → Match Corners and Sides (bitmask8, bit0=N clockwise)
+ *   Wang / dual     → Match Corners           (corners, bit0=NE clockwise)
+ *
+ * The texture is referenced by a path relative to the .tres file, so both
+ * files can be dropped into any folder of a Godot 4 project as a pair.
+ *
+ * With a background terrain the set holds two terrains: terrain 0 is the
+ * tileset, terrain 1 the background.  Every peering bit that does not connect
+ * to terrain 0 is assigned terrain 1, and the all-background tile (appended
+ * tile, or the empty corner tile) belongs to terrain 1 entirely.
+ *
+ * Isometric sets use the isometric tile shape with the diamond-down layout
+ * (x runs down-right, y down-left), so grid north is the diamond's top-right
+ * side and every peering bit takes its isometric name (ISO_PEERING_NAMES).
+ *
+ * Hex sets use the hexagon tile shape in the stacked layout — pointy-top
+ * offsets odd rows (horizontal offset axis), flat-top odd columns (vertical)
+ * — and Match Sides over the six hex sides (bitmask6).
+ *
+ * Animated sets stack one sheet block per frame, so every tile of the first
+ * block becomes an animated tile whose frames run down a single column,
+ * one block height apart.  The frame cells are covered by that animation and
+ * are not declared as tiles of their own.
+ */
+
+import { isCornerSet, isHexSet, hexTop, BASE_VARIANT_WEIGHT, sheetLayout, tileCell } from './tilegen.js';
+import { tileFrames } from './rules.js';
+
+// TileSet.TerrainMode
+const MODE_CORNERS_AND_SIDES = 0;
+const MODE_CORNERS           = 1;
+const MODE_SIDES             = 2;
+
+// Accent orange (#f97316) — only used to tint the terrain in Godot's editor
+const TERRAIN_COLOR    = 'Color(0.976, 0.451, 0.086, 1)';
+const BACKGROUND_COLOR = 'Color(0.45, 0.45, 0.45, 1)';
+
+// TileSet.TileShape / TileSet.TileLayout / TileSet.TileOffsetAxis
+const SHAPE_ISOMETRIC     = 1;
+const SHAPE_HEXAGON       = 3;
+const LAYOUT_DIAMOND_DOWN = 5;
+const OFFSET_AXIS_HORIZONTAL = 0;
+const OFFSET_AXIS_VERTICAL   = 1;
+
+// Square-grid CellNeighbor property names, keyed by the bit they read
+const SIDE_BITS_4 = [
+  [0x1, 'top_side'],
+  [0x2, 'right_side'],
+  [0x4, 'bottom_side'],
+  [0x8, 'left_side'],
+];
+const BITS_8 = [
+  [0x01, 'top_side'],
+  [0x02, 'top_right_corner'],
+  [0x04, 'right_side'],
+  [0x08, 'bottom_right_corner'],
+  [0x10, 'bottom_side'],
+  [0x20, 'bottom_left_corner'],
+  [0x40, 'left_side'],
+  [0x80, 'top_left_corner'],
+];
+const CORNER_BITS = [
+  [0x1, 'top_right_corner'],
+  [0x2, 'bottom_right_corner'],
+  [0x4, 'bottom_left_corner'],
+  [0x8, 'top_left_corner'],
+];
+
+// Hex CellNeighbor property names, keyed by their bitmask6 bit
+const HEX_BITS = {
+  pointy: [
+    [0x01, 'top_right_side'],
+    [0x02, 'right_side'],
+    [0x04, 'bottom_right_side'],
+    [0x08, 'bottom_left_side'],
+    [0x10, 'left_side'],
+    [0x20, 'top_left_side'],
+  ],
+  flat: [
+    [0x01, 'top_side'],
+    [0x02, 'top_right_side'],
+    [0x04, 'bottom_right_side'],
+    [0x08, 'bottom_side'],
+    [0x10, 'bottom_left_side'],
+    [0x20, 'top_left_side'],
+  ],
+};
+
+// Square-grid name → isometric (diamond-down) name for the same grid direction
+const ISO_PEERING_NAMES = {
+  top_side:            'top_right_side',
+  right_side:          'bottom_right_side',
+  bottom_side:         'bottom_left_side',
+  left_side:           'top_left_side',
+  top_right_corner:    'right_corner',
+  bottom_right_corner: 'bottom_corner',
+  bottom_left_corner:  'left_corner',
+  top_left_corner:     'top_corner',
+};
+
+/** Godot terrain mode used for a given algorithm. */
+export function godotTerrainMode(algorithm) {
+  if (isCornerSet(algorithm)) return MODE_CORNERS;
+  if (algorithm === '47' || algorithm === '256') return MODE_CORNERS_AND_SIDES;
+  return MODE_SIDES;
+}
+
+/**
+ * Names of the peering bits that connect to the terrain for one tile.
+ * @returns {string[]}
+ */
+export function godotPeeringBits(tile, algorithm, orientation = 'orthogonal') {
+  const [table, mask] = peeringTable(tile, algorithm, orientation);
+  return table.filter(([bit]) => mask & bit).map(([, name]) => name);
+}
+
+/** Peering-bit table for the algorithm and orientation, and the tile's mask within it. */
+function peeringTable(tile, algorithm, orientation = 'orthogonal') {
+  const [table, mask] =
+      isHexSet(algorithm)                        ? [HEX_BITS[hexTop(algorithm)], tile.bitmask6 ?? 0]
+    : isCornerSet(algorithm)                     ? [CORNER_BITS, tile.corners ?? 0]
+    : algorithm === '47' || algorithm === '256'  ? [BITS_8,      tile.bitmask8 ?? 0]
+    :                                              [SIDE_BITS_4, tile.bitmask ?? tile.bitmask4 ?? 0];
+  if (orientation !== 'isometric') return [table, mask];
+  return [table.map(([bit, name]) => [bit, ISO_PEERING_NAMES[name]]), mask];
+}
+
+/** TileSet shape properties; none for the default square grid. */
+function tileShapeLines(algorithm, orientation) {
+  if (orientation === 'isometric') return [`tile_shape = ${SHAPE_ISOMETRIC}`, `tile_layout = ${LAYOUT_DIAMOND_DOWN}`];
+  if (orientation !== 'hexagonal') return [];
+  const axis = hexTop(algorithm) === 'flat' ? OFFSET_AXIS_VERTICAL : OFFSET_AXIS_HORIZONTAL;
+  return [`tile_shape = ${SHAPE_HEXAGON}`, `tile_offset_axis = ${axis}`];
+}
+
+/**
+ * Atlas-tile animation properties for tile `index`; none for a static tile.
+ * Frames sit one block below each other, so the layout is one column with a
+ * separation of (block rows − 1) cells.
+ * @returns {string[]}
+ */
+function animationLines(tiles, index, cell, tileSize, animationSpeed, layout) {
+  const frames = tileFrames(tiles, index);
+  if (!frames.length) return [];
+  const gap   = tileCell(tiles[frames[0]], tileSize, layout).row - tileCell(tiles[index], tileSize, layout).row - 1;
+  const count = frames.length + 1;
+  return [
+    `${cell}/animation_columns = 1`,
+    `${cell}/animation_separation = Vector2i(0, ${gap})`,
+    `${cell}/animation_speed = ${animationSpeed}`,
+    `${cell}/animation_frames_count = ${count}`,
+    ...Array.from({ length: count }, (_, f) => `${cell}/animation_frame_${f}/duration = 1.0`),
+  ];
+}
+
+/**
+ * Build the .tres text for a TileSet over the generated spritesheet.
+ *
+ * @param {TileDescriptor[]} tiles
+ * @param {{ width: number, height: number }} tileSize
+ * @param {string}           algorithm
+ * @param {string}           texturePath     path of the PNG relative to the .tres
+ * @param {string}           terrainName
+ * @param {Object}           options
+ * @param {string|null}      options.background      second terrain name; null for a single terrain
+ * @param {number}           options.animationSpeed  frames per second of animated tiles
+ * @param {Object}           options.layout          sheet margin / spacing, see sheetLayout()
+ * @param {string}           options.orientation     'orthogonal', 'isometric' or 'hexagonal'
+ * @returns {string}
+ */
+export function buildGodotTileSet(tiles, tileSize, algorithm, texturePath, terrainName,
+                                  { background = null, animationSpeed = 1, layout = sheetLayout(),
+                                    orientation = 'orthogonal' } = {}) {
+  const corner = isCornerSet(algorithm);
+  const pair   = background !== null;
+
+  const tileLines = tiles.flatMap((tile, i) => {
+    if (tile.frameOf !== undefined) return [];
+    const { col, row } = tileCell(tile, tileSize, layout);
+    const cell  = `${col}:${row}`;
+    const key   = `${cell}/0`;
+    const bits  = tile.background ? [] : godotPeeringBits(tile, algorithm, orientation);
+    const lines = [...animationLines(tiles, i, cell, tileSize, animationSpeed, layout),
+                   `${key} = 0`, `${key}/terrain_set = 0`];
+    // Corner sets include the all-empty tile; it belongs to the set but not the terrain
+    const isBackground = tile.background || (corner && !bits.length);
+    if (!isBackground)  lines.push(`${key}/terrain = 0`);
+    else if (pair)      lines.push(`${key}/terrain = 1`);
+    bits.forEach(name => lines.push(`${key}/terrains_peering_bit/${name} = 0`));
+    // Variants share their base tile's peering bits; Godot picks between them by probability
+    if (tile.variantOf !== undefined) lines.push(`${key}/probability = ${tile.weight / BASE_VARIANT_WEIGHT}`);
+    if (pair) {
+      peeringTable(tile, algorithm, orientation)[0]
+        .filter(([, name]) => !bits.includes(name))
+        .forEach(([, name]) => lines.push(`${key}/terrains_peering_bit/${name} = 1`));
+    }
+    return lines;
+  });
+
+  const terrainLines = [
+    `terrain_set_0/terrain_0/name = "${terrainName.replace(/"/g, '')}"`,
+    `terrain_set_0/terrain_0/color = ${TERRAIN_COLOR}`,
+  ];
+  if (pair) {
+    terrainLines.push(
+      `terrain_set_0/terrain_1/name = "${background.replace(/"/g, '')}"`,
+      `terrain_set_0/terrain_1/color = ${BACKGROUND_COLOR}`,
+    );
+  }
+
+  return [
+    `[gd_resource type="TileSet" load_steps=3 format=3]`,
+    ``,
+    `[ext_resource type="Texture2D" path="${texturePath}" id="1_png"]`,
+    ``,
+    `[sub_resource type="TileSetAtlasSource" id="TileSetAtlasSource_0"]`,
+    `texture = ExtResource("1_png")`,
+    `margins = Vector2i(${layout.margin}, ${layout.margin})`,
+    `separation = Vector2i(${layout.spacing}, ${layout.spacing})`,
+    `texture_region_size = Vector2i(${tileSize.width}, ${tileSize.height})`,
+    ...tileLines,
+    ``,
+    `[resource]`,
+    ...tileShapeLines(algorithm, orientation),
+    `tile_size = Vector2i(${tileSize.width}, ${tileSize.height})`,
+    `terrain_set_0/mode = ${godotTerrainMode(algorithm)}`,
+    ...terrainLines,
+    `sources/0 = SubResource("TileSetAtlasSource_0")`,
+    ``,
+  ].join('\n');
+}
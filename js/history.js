@@ -0,0 +1,67 @@
+/**
+ * history.js — Undo / redo stack.
+ *
+ * The history is a list of workspace snapshots (whatever the caller captures;
+ * main.js takes settings, slot images and the tilemap).  `present` is the
+ * snapshot of the current state; every committed change pushes it onto the
+ * undo stack and becomes the new present:
+ *
+ *   commitHistory(after)   past ← present, present = after, future cleared
+ *   undoHistory()          future ← present, present = past.pop()
+ *   redoHistory()          past ← present, present = future.pop()
+ *
+ * Undo and redo return the snapshot to restore, or null at either end.  A
+ * change is committed once it is complete — a tilemap stroke on mouse-up, a
+ * text field on change — so each counts as one entry however many events it
+ * took.  Snapshots share the (never mutated) slot images, so they are cheap.
+ */
+
+export const HISTORY_LIMIT = 100;
+
+let present = null;
+const past   = [];
+const future = [];
+let listener = () => {};
+
+/**
+ * Start a fresh history at `snapshot`.
+ * @param {Object}   snapshot
+ * @param {function(): void} onChange  runs whenever canUndo() / canRedo() may have changed
+ */
+export function initHistory(snapshot, onChange = () => {}) {
+  present = snapshot;
+  past.length   = 0;
+  future.length = 0;
+  listener = onChange;
+  listener();
+}
+
+/** Record a completed change; `snapshot` is the state after it. */
+export function commitHistory(snapshot) {
+  past.push(present);
+  if (past.length > HISTORY_LIMIT) past.shift();
+  present = snapshot;
+  future.length = 0;
+  listener();
+}
+
+/** @returns {Object|null}  snapshot to restore */
+export function undoHistory() {
+  if (!past.length) return null;
+  future.push(present);
+  present = past.pop();
+  listener();
+  return present;
+}
+
+/** @returns {Object|null}  snapshot to restore */
+export function redoHistory() {
+  if (!future.length) return null;
+  past.push(present);
+  present = future.pop();
+  listener();
+  return present;
+}
+
+export function canUndo() { return past.length > 0; }
+export function canRedo() { return future.length > 0; }
@@ -0,0 +1,118 @@
+/**
+ * layouts.js — Spritesheet layout templates.
+ *
+ * By default every generator lays its tiles out in mask order (16-tile 4 × 4
+ * by bitmask, 47-tile 8 × 6 by normalized bitmask, …).  A layout template
+ * puts each tile in a fixed cell instead, so the sheet matches an existing
+ * tile index table:
+ *
+ *   {
+ *     "name":      "My layout",
+ *     "algorithm": "47",
+ *     "columns":   7,
+ *     "rows":      7,
+ *     "tiles":     { "0": [0, 0], "4": [1, 0], … }   // mask → [col, row]
+ *   }
+ *
+ * Masks are the ones the tile descriptors carry (see layoutKey() in
+ * tilegen.js): bitmask for 16-tile, normalized bitmask8 for 47-tile, raw
+ * bitmask8 for 256-tile, corners for Wang / dual and bitmask6 for hex sets.
+ * A template must place every tile of its algorithm, each in a cell of its
+ * own; cells left over stay transparent.  A template only applies to the
+ * algorithm it was made for — other sets keep the default order.
+ *
+ * Built-in templates (LAYOUT_TEMPLATES):
+ *   blob               the classic 7 × 7 47-tile blob sheet (cr31), whose
+ *                      tiles join up with their sheet neighbors
+ *   godot-3x3-minimal  Godot 3's 12 × 4 "3×3 minimal" autotile sheet: the
+ *                      16 cardinal shapes on the left, the inner-corner
+ *                      tiles to their right
+ */
+
+import { normalize47, isHexSet, ALGORITHMS } from './tilegen.js';
+
+// ─────────────────────────────────────────────────────────────
+// Built-in templates
+// ─────────────────────────────────────────────────────────────
+
+// Normalized bitmask8 per cell, row by row; null = unused cell
+const BLOB_GRID = [
+  [  0,   4,  92, 124, 116,  80, null],
+  [ 16,  20,  87, 223, 241,  21,  64],
+  [ 29, 117,  85,  71, 221, 125, 112],
+  [ 31, 253, 113,  28, 127, 247, 209],
+  [ 23, 199, 213,  95, 255, 245,  81],
+  [  5,  84,  93, 119, 215, 193,  17],
+  [null,  1,   7, 197,  69,  68,  65],
+];
+
+const GODOT_3X3_MINIMAL_GRID = [
+  [ 28, 124, 112,  16,   5,  85,  93, 119, 221, 116,  87, 209],
+  [ 31, 255, 241,  17,  20,  69,  71, 213,  95, 253, 117,  81],
+  [  7, 199, 193,   1,  21,  84,  92, 125, 127, 247, 197,  65],
+  [  4,  68,  64,   0,  29, 113,  23, 215, 223, 245,  80, null],
+];
+
+export const LAYOUT_TEMPLATES = {
+  'blob':              fromGrid('Blob 7×7', '47', BLOB_GRID),
+  'godot-3x3-minimal': fromGrid('Godot 3×3 Minimal', '47', GODOT_3X3_MINIMAL_GRID),
+};
+
+/** Template object for a row-major grid of masks. */
+function fromGrid(name, algorithm, grid) {
+  const tiles = {};
+  grid.forEach((row, r) => row.forEach((mask, c) => { if (mask !== null) tiles[mask] = [c, r]; }));
+  return { name, algorithm, columns: grid[0].length, rows: grid.length, tiles };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Import
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Every mask a set of `algorithm` holds, i.e. the keys a template must place.
+ * @returns {number[]}
+ */
+export function layoutMasks(algorithm) {
+  if (algorithm === '47') return [...new Set(Array.from({ length: 256 }, (_, b) => normalize47(b)))];
+  // 16-tile bitmask and Wang / dual corners both run 0–15
+  const count = algorithm === '256' ? 256 : isHexSet(algorithm) ? 64 : 16;
+  return Array.from({ length: count }, (_, m) => m);
+}
+
+/**
+ * Parse and check a layout template JSON text.
+ * Throws an Error naming the first problem found.
+ *
+ * @param {string} text
+ * @returns {{ name: string, algorithm: string, columns: number, rows: number,
+ *             tiles: Object<string, number[]> }}
+ */
+export function parseLayoutTemplate(text) {
+  const json = JSON.parse(text);
+  const { algorithm, columns, rows } = json ?? {};
+  const masks = ALGORITHMS.includes(algorithm)
+    ? layoutMasks(algorithm) : null;
+  if (!masks) throw new Error(`Unknown layout algorithm "${algorithm}"`);
+  if (!Number.isInteger(columns) || !Number.isInteger(rows) || columns < 1 || rows < 1) {
+    throw new Error('Layout needs whole-number "columns" and "rows"');
+  }
+  if (typeof json.tiles !== 'object' || json.tiles === null) throw new Error('Layout has no "tiles" map');
+
+  const tiles = {};
+  const taken = new Set();
+  for (const mask of masks) {
+    const cell = json.tiles[mask];
+    if (!Array.isArray(cell)) throw new Error(`Layout has no cell for mask ${mask}`);
+    const [col, row] = cell;
+    if (!Number.isInteger(col) || !Number.isInteger(row) || col < 0 || row < 0 || col >= columns || row >= rows) {
+      throw new Error(`Cell of mask ${mask} is outside the ${columns}×${rows} grid`);
+    }
+    if (taken.has(row * columns + col)) throw new Error(`Two masks share cell (${col}, ${row})`);
+    taken.add(row * columns + col);
+    tiles[mask] = [col, row];
+  }
+
+  const name = typeof json.name === 'string' && json.name.trim() ? json.name.trim() : 'Custom';
+  return { name, algorithm, columns, rows, tiles };
+}
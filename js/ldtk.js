@@ -0,0 +1,301 @@
+/**
+ * ldtk.js — LDtk project builder with IntGrid auto-layer rules.
+ *
+ * Produces a minimal .ldtk project (JSON format 1.5.3) containing:
+ *   - one tileset definition over the generated spritesheet
+ *   - one IntGrid layer ("Terrain", value 1) with an auto-rule group that
+ *     holds one 3×3 rule per generated tile
+ *   - one empty level, so the project opens ready to paint
+ *
+ * Rule patterns come from ruleNeighbors() — the same neighbor logic as the
+ * Unity RuleTile — translated to LDtk's IntGrid pattern values:
+ *   NBR_THIS → 1 (cell must hold value 1)
+ *   NBR_NOTTHIS → -1 (cell must NOT hold value 1)
+ *   don't care → 0
+ * Rules are listed in ruleOrder() with breakOnMatch, mirroring RuleTile's
+ * first-match evaluation.  Variant tiles are extra rects on their base rule;
+ * LDtk picks among a rule's rects uniformly, so each rect is repeated in
+ * proportion to its tile's weight (weightedRepeat()).
+ *
+ * LDtk grids are square, so the builder refuses non-square tile sizes.
+ */
+
+import { ruleNeighbors, ruleOrder, tileVariants, weightedRepeat, NBR_THIS, NBR_NOTTHIS } from './rules.js';
+import { sheetLayout, tileCell, sheetCells, BASE_VARIANT_WEIGHT } from './tilegen.js';
+
+const LDTK_VERSION  = '1.5.3';
+const TERRAIN_VALUE = 1;
+const LEVEL_CELLS   = 16;   // Level is 16×16 cells
+
+// Fixed uids — the project only ever contains these definitions
+const UID_LAYER      = 1;
+const UID_TILESET    = 2;
+const UID_RULE_GROUP = 3;
+const UID_FIRST_RULE = 4;
+
+/**
+ * 9-cell LDtk pattern (row-major, centre at index 4) for one tile.
+ * @returns {number[]}
+ */
+export function ldtkPattern(tile, algorithm) {
+  const [nw, n, ne, w, e, sw, s, se] = ruleNeighbors(tile, algorithm).map(v =>
+    v === NBR_THIS ? TERRAIN_VALUE : v === NBR_NOTTHIS ? -TERRAIN_VALUE : 0);
+  return [nw, n, ne, w, TERRAIN_VALUE, e, sw, s, se];
+}
+
+/**
+ * Build the .ldtk project JSON text.
+ *
+ * @param {TileDescriptor[]} tiles
+ * @param {{ width: number, height: number }} tileSize  must be square
+ * @param {number}           imageW, imageH  spritesheet size in pixels
+ * @param {string}           algorithm
+ * @param {string}           imagePath       PNG path relative to the .ldtk
+ * @param {string}           name
+ * @param {Object}           layout          sheet margin / spacing, see sheetLayout()
+ * @returns {string}
+ */
+export function buildLDtkProject(tiles, tileSize, imageW, imageH, algorithm, imagePath, name, layout = sheetLayout()) {
+  if (tileSize.width !== tileSize.height) {
+    throw new Error(`LDtk needs square tiles (${tileSize.width}×${tileSize.height})`);
+  }
+  const gridSize   = tileSize.width;
+  const identifier = toIdentifier(name);
+  const columns    = sheetCells(imageW, gridSize, layout);
+  const levelPx    = LEVEL_CELLS * gridSize;
+
+  const tileId = tile => {
+    const { col, row } = tileCell(tile, tileSize, layout);
+    return row * columns + col;
+  };
+  const rules  = ruleOrder(tiles, algorithm).map((i, n) => {
+    // Variant tiles join their base tile's rule, repeated by weight
+    const rects = weightedRepeat([
+      { value: [tileId(tiles[i])], weight: BASE_VARIANT_WEIGHT },
+      ...tileVariants(tiles, i).map(j => ({ value: [tileId(tiles[j])], weight: tiles[j].weight })),
+    ]);
+    return buildRule(UID_FIRST_RULE + n, rects, ldtkPattern(tiles[i], algorithm));
+  });
+
+  const layerDef = {
+    __type: 'IntGrid',
+    identifier: 'Terrain',
+    type: 'IntGrid',
+    uid: UID_LAYER,
+    doc: null,
+    uiColor: null,
+    gridSize,
+    guideGridWid: 0,
+    guideGridHei: 0,
+    displayOpacity: 1,
+    inactiveOpacity: 1,
+    hideInList: false,
+    hideFieldsWhenInactive: true,
+    canSelectWhenInactive: true,
+    renderInWorldView: true,
+    pxOffsetX: 0,
+    pxOffsetY: 0,
+    parallaxFactorX: 0,
+    parallaxFactorY: 0,
+    parallaxScaling: true,
+    requiredTags: [],
+    excludedTags: [],
+    autoTilesKilledByOtherLayerUid: null,
+    uiFilterTags: [],
+    useAsyncRender: false,
+    intGridValues: [
+      { value: TERRAIN_VALUE, identifier: identifier, color: '#F97316', tile: null, groupUid: 0 },
+    ],
+    intGridValuesGroups: [],
+    autoRuleGroups: [{
+      uid: UID_RULE_GROUP,
+      name: identifier,
+      color: null,
+      icon: null,
+      active: true,
+      isOptional: false,
+      rules,
+      usesWizard: false,
+      biomeRequirementMode: 0,
+      requiredBiomeValues: [],
+    }],
+    autoSourceLayerDefUid: null,
+    tilesetDefUid: UID_TILESET,
+    tilePivotX: 0,
+    tilePivotY: 0,
+    biomeFieldUid: null,
+  };
+
+  const tilesetDef = {
+    __cWid: columns,
+    __cHei: sheetCells(imageH, gridSize, layout),
+    identifier,
+    uid: UID_TILESET,
+    relPath: imagePath,
+    embedAtlas: null,
+    pxWid: imageW,
+    pxHei: imageH,
+    tileGridSize: gridSize,
+    spacing: layout.spacing,
+    padding: layout.margin,
+    tags: [],
+    tagsSourceEnumUid: null,
+    enumTags: [],
+    customData: [],
+    savedSelections: [],
+    cachedPixelData: null,
+  };
+
+  const level = {
+    identifier: 'Level_0',
+    iid: uuid(),
+    uid: 0,
+    worldX: 0,
+    worldY: 0,
+    worldDepth: 0,
+    pxWid: levelPx,
+    pxHei: levelPx,
+    __bgColor: '#696A79',
+    bgColor: null,
+    useAutoIdentifier: true,
+    bgRelPath: null,
+    bgPos: null,
+    bgPivotX: 0.5,
+    bgPivotY: 0.5,
+    __smartColor: '#ADADB5',
+    __bgPos: null,
+    externalRelPath: null,
+    fieldInstances: [],
+    layerInstances: [{
+      __identifier: 'Terrain',
+      __type: 'IntGrid',
+      __cWid: LEVEL_CELLS,
+      __cHei: LEVEL_CELLS,
+      __gridSize: gridSize,
+      __opacity: 1,
+      __pxTotalOffsetX: 0,
+      __pxTotalOffsetY: 0,
+      __tilesetDefUid: UID_TILESET,
+      __tilesetRelPath: imagePath,
+      iid: uuid(),
+      levelId: 0,
+      layerDefUid: UID_LAYER,
+      pxOffsetX: 0,
+      pxOffsetY: 0,
+      visible: true,
+      optionalRules: [],
+      intGridCsv: new Array(LEVEL_CELLS * LEVEL_CELLS).fill(0),
+      autoLayerTiles: [],
+      seed: 0,
+      overrideTilesetUid: null,
+      gridTiles: [],
+      entityInstances: [],
+    }],
+    __neighbours: [],
+  };
+
+  const project = {
+    __header__: {
+      fileType: 'LDtk Project JSON',
+      app: 'LDtk',
+      doc: 'https://ldtk.io/json',
+      schema: 'https://ldtk.io/files/JSON_SCHEMA.json',
+      appAuthor: 'Sebastien \'deepnight\' Benard',
+      appVersion: LDTK_VERSION,
+      url: 'https://ldtk.io',
+    },
+    iid: uuid(),
+    jsonVersion: LDTK_VERSION,
+    appBuildId: 0,
+    nextUid: UID_FIRST_RULE + rules.length,
+    identifierStyle: 'Capitalize',
+    toc: [],
+    worldLayout: 'Free',
+    worldGridWidth: levelPx,
+    worldGridHeight: levelPx,
+    defaultLevelWidth: levelPx,
+    defaultLevelHeight: levelPx,
+    defaultPivotX: 0,
+    defaultPivotY: 0,
+    defaultGridSize: gridSize,
+    defaultEntityWidth: gridSize,
+    defaultEntityHeight: gridSize,
+    bgColor: '#40465B',
+    defaultLevelBgColor: '#696A79',
+    minifyJson: false,
+    externalLevels: false,
+    exportTiled: false,
+    simplifiedExport: false,
+    imageExportMode: 'None',
+    exportLevelBg: true,
+    pngFilePattern: null,
+    backupOnSave: false,
+    backupLimit: 10,
+    backupRelPath: null,
+    levelNamePattern: 'Level_%idx',
+    tutorialDesc: null,
+    customCommands: [],
+    flags: [],
+    defs: {
+      layers: [layerDef],
+      entities: [],
+      tilesets: [tilesetDef],
+      enums: [],
+      externalEnums: [],
+      levelFields: [],
+    },
+    levels: [level],
+    worlds: [],
+    dummyWorldIid: uuid(),
+  };
+
+  return JSON.stringify(project, null, '\t');
+}
+
+/** One auto-layer rule; `tileRectsIds` holds one single-tile rect per alternative. */
+function buildRule(uid, tileRectsIds, pattern) {
+  return {
+    uid,
+    active: true,
+    size: 3,
+    tileRectsIds,
+    alpha: 1,
+    chance: 1,
+    breakOnMatch: true,
+    pattern,
+    flipX: false,
+    flipY: false,
+    xModulo: 1,
+    yModulo: 1,
+    xOffset: 0,
+    yOffset: 0,
+    tileXOffset: 0,
+    tileYOffset: 0,
+    tileRandomXMin: 0,
+    tileRandomXMax: 0,
+    tileRandomYMin: 0,
+    tileRandomYMax: 0,
+    checker: 'None',
+    tileMode: 'Single',
+    pivotX: 0,
+    pivotY: 0,
+    outOfBoundsValue: null,
+    invalidated: false,
+    perlinActive: false,
+    perlinSeed: 0,
+    perlinScale: 0.2,
+    perlinOctaves: 2,
+  };
+}
+
+/** LDtk identifiers: letters, digits and underscores, not starting with a digit. */
+function toIdentifier(name) {
+  const id = name.replace(/[^a-zA-Z0-9_]/g, '_') || 'BaconTileSet';
+  return /^[0-9]/.test(id) ? `_${id}` : id;
+}
+
+function uuid() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  const hex = Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
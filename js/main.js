@@ -5,27 +5,41 @@
  *  - i18n init (localStorage → 'en')
  *  - Single cycling lang button (EN → JA → ZH → EN)
  *  - Hamburger menu for mobile
- *  - Image uploaders (click + drag & drop)
- *  - Per-slot transform state (rotation, flipX, flipY)
+ *  - Image uploaders (click + drag & drop), weighted slot variants, RPG Maker A2 import
+ *  - Animated slots: frame lists per slot, preview + tilemap animate live
+ *  - Per-slot transform state (rotation, flipX, flipY), edge and corner slots
  *  - Auto-generate preview + spritesheet on any change (debounced 300 ms)
- *  - Export buttons
+ *  - Export buttons (PNG, Unity, Godot, Tiled, LDtk, GameMaker, Defold, RPG Maker A2)
+ *  - Project save / open (.bacon): settings, slot images and the painted tilemap
+ *  - Autosave to IndexedDB after every generate, checkpoints before destructive
+ *    actions; restore prompt and recent sessions
+ *  - Undo / redo of slot images, transforms, settings and tilemap strokes
  */
 
-import { loadLang, applyTranslations, detectLang } from './i18n.js';
-import { initUploaders } from './uploader.js';
+import { loadLang, applyTranslations, detectLang, t } from './i18n.js';
+import { initUploaders, initSheetImport, SLOTS } from './uploader.js';
 import { renderPreview,
          PREVIEW_DISPLAY_TS, PREVIEW_PAD, PREVIEW_CP_GAP,
-         PREVIEW_LABEL_H, PREVIEW_GRID_ROWS,
-         previewGridCols }    from './preview.js';
-import { generate }       from './tilegen.js';
-import { exportPNG, exportUnityPackage } from './exporter.js';
-import { initTilemap, renderTilemap } from './tilemap.js';
+         PREVIEW_LABEL_H, previewTileHeight,
+         previewGridCols, previewGridRows } from './preview.js';
+import { generate, isCornerSet, isHexSet, hexTop, HEX_SIDES, frameCount, frameImages,
+         tileCell, sheetLayout, INNER_CORNER_STRATEGIES } from './tilegen.js';
+import { exportPNG, exportUnityPackage, exportGodotTileSet,
+         exportTiledTileset, exportLDtkProject,
+         exportGameMaker, exportDefold,
+         exportRPGMakerA2, exportProject } from './exporter.js';
+import { sliceA2Block }   from './rpgmaker.js';
+import { LAYOUT_TEMPLATES, parseLayoutTemplate } from './layouts.js';
+import { initTilemap, renderTilemap, renderTilemapFrame, getTilemap, setTilemap } from './tilemap.js';
+import { buildProject, readProject, decodeProject, projectSettings, applyProjectSettings,
+         clampSetting } from './project.js';
+import { saveSession, saveCheckpoint, listSessions } from './session.js';
+import { initHistory, commitHistory, undoHistory, redoHistory, canUndo, canRedo } from './history.js';
 
 // ─────────────────────────────────────────────────────────────
 // Constants
 // ─────────────────────────────────────────────────────────────
 
-const SLOTS = ['main', 'top', 'bottom', 'left', 'right'];
 const LANGS  = ['en', 'ja', 'zh'];
 
 const ZOOM_MIN     = 1;
@@ -38,36 +52,44 @@ const ZOOM_DEFAULT = 2;  // 2× is a comfortable default for small pixel-art til
 
 const state = {
   lang:        'en',
-  tileSize:    32,
+  tileWidth:   32,
+  tileHeight:  32,
+  orientation: 'orthogonal',   // or 'isometric' (diamond tiles)
   algorithm:   '16',
   tilesetName: 'BaconTileSet',
+  backgroundName: 'Background',
+  animationSpeed: 4,   // frames per second of animated slots
+  // Compositing: feather > 0 cross-fades edge images into the main image (px);
+  // resample scales slot images to the tile size (RESAMPLE_MODES in resample.js)
+  blend: { feather: 0, innerCorner: 'intersection', resample: 'smooth' },
+  // Spritesheet padding in pixels; extrude repeats tile borders into it
+  padding: { margin: 0, spacing: 0, extrude: 0 },
+  // Layout template (layouts.js) placing tiles in fixed sheet cells; null = mask order
+  layout: null,
 
   // Raw ImageBitmap from file input — never mutated
-  originals: {
-    main: null, top: null, bottom: null, left: null, right: null,
-  },
+  originals: Object.fromEntries(SLOTS.map(s => [s, null])),
 
   // Per-slot transform parameters
-  transforms: {
-    main:   { rotation: 0, flipX: false, flipY: false },
-    top:    { rotation: 0, flipX: false, flipY: false },
-    bottom: { rotation: 0, flipX: false, flipY: false },
-    left:   { rotation: 0, flipX: false, flipY: false },
-    right:  { rotation: 0, flipX: false, flipY: false },
-  },
+  transforms: Object.fromEntries(SLOTS.map(s => [s, { rotation: 0, flipX: false, flipY: false }])),
 
   // Transformed canvases fed to tilegen / preview
-  images: {
-    main: null, top: null, bottom: null, left: null, right: null,
-  },
+  images: Object.fromEntries(SLOTS.map(s => [s, null])),
+
+  // Per-slot variant images: [{ original, image, weight }]; share the slot's transform
+  variants: Object.fromEntries(SLOTS.map(s => [s, []])),
+
+  // Animated slots: raw frames and their transformed canvases (frame 0 = images[slot]).
+  // Empty for still images.
+  frameOriginals: Object.fromEntries(SLOTS.map(s => [s, []])),
+  frames:         Object.fromEntries(SLOTS.map(s => [s, []])),
 
   result: null,
 };
 
-// Zoom levels — persist across re-renders
+// Zoom levels — persist across re-renders (the tilemap keeps its own view, see tilemap.js)
 const zoom = {
   preview: ZOOM_DEFAULT,
-  tilemap: 1,
 };
 
 // ─────────────────────────────────────────────────────────────
@@ -88,9 +110,12 @@ async function boot() {
   initUploadPanel();
   initTransformControls();
   initExportButtons();
+  initProjectButtons();
   initZoomControls();
-  initTilemap(() => { renderTilemap(state); applyZoom('tilemap'); });
+  initTilemap(scheduleAutosave, commitWorkspace, checkpoint);
   initSpritesheetHover();
+  initHistoryControls();
+  initSessions().catch(err => console.error('[initSessions]', err));
 
   // Initial preview render (shows placeholder tiles)
   scheduleAutoGenerate();
@@ -154,37 +179,228 @@ function initHamburger() {
 // Settings (index.html only)
 // ─────────────────────────────────────────────────────────────
 
+// Last imported layout template, offered as the 'custom' layout option
+let customLayout = null;
+
 function initSettings() {
   const nameInput     = document.getElementById('tileset-name');
+  const bgNameInput   = document.getElementById('background-name');
   const algoSelect    = document.getElementById('algorithm');
+  const orientSelect  = document.getElementById('orientation');
   const tileSizeInput = document.getElementById('tile-size');
+  const tileHInput    = document.getElementById('tile-height');
+  const speedInput    = document.getElementById('anim-speed');
+  const featherInput  = document.getElementById('edge-feather');
+  const innerSelect   = document.getElementById('inner-corner');
+  const scaleSelect   = document.getElementById('resample');
+  const layoutSelect  = document.getElementById('layout-template');
+  const layoutFile    = document.getElementById('file-layout');
+  const paddingInputs = { margin:  document.getElementById('tile-margin'),
+                          spacing: document.getElementById('tile-spacing'),
+                          extrude: document.getElementById('tile-extrude') };
   if (!nameInput && !algoSelect && !tileSizeInput) return;
 
+  // One option per strategy the compositor knows
+  innerSelect?.replaceChildren(...i18nOptions(INNER_CORNER_STRATEGIES, 'blend.inner'));
+  syncSettingsInputs();
+
   if (nameInput) {
-    nameInput.value = state.tilesetName;
     nameInput.addEventListener('input', () => {
       state.tilesetName = nameInput.value.trim() || 'BaconTileSet';
     });
+    nameInput.addEventListener('change', commitWorkspace);
+  }
+
+  if (bgNameInput) {
+    bgNameInput.addEventListener('input', () => {
+      state.backgroundName = bgNameInput.value.trim() || 'Background';
+    });
+    bgNameInput.addEventListener('change', commitWorkspace);
   }
 
   if (algoSelect) {
-    algoSelect.value = state.algorithm;
     algoSelect.addEventListener('change', () => {
       state.algorithm = algoSelect.value;
+      syncAlgorithmControls();
+      commitWorkspace();
+      scheduleAutoGenerate();
+    });
+  }
+
+  if (orientSelect) {
+    orientSelect.addEventListener('change', () => {
+      state.orientation = orientSelect.value;
+      commitWorkspace();
       scheduleAutoGenerate();
     });
   }
 
-  if (tileSizeInput) {
-    tileSizeInput.value = state.tileSize;
-    tileSizeInput.addEventListener('change', () => {
-      const v = parseInt(tileSizeInput.value, 10);
-      if (!isNaN(v) && v >= 8) {
-        state.tileSize = v;
+  // Tile width and height; any size from 8 to 256 px, odd and non-square included
+  [[tileSizeInput, 'tileWidth'], [tileHInput, 'tileHeight']].forEach(([input, key]) => {
+    if (!input) return;
+    input.addEventListener('change', () => {
+      const v = numberSetting(input, key, state[key]);
+      if (v !== null) {
+        state[key] = v;
+        commitWorkspace();
+        scheduleAutoGenerate();
+      }
+    });
+  });
+
+  if (featherInput) {
+    featherInput.addEventListener('change', () => {
+      const v = numberSetting(featherInput, 'blend.feather', state.blend.feather);
+      if (v !== null) {
+        state.blend = { ...state.blend, feather: v };
+        commitWorkspace();
         scheduleAutoGenerate();
       }
     });
   }
+
+  if (innerSelect) {
+    innerSelect.addEventListener('change', () => {
+      state.blend = { ...state.blend, innerCorner: innerSelect.value };
+      commitWorkspace();
+      scheduleAutoGenerate();
+    });
+  }
+
+  if (scaleSelect) {
+    scaleSelect.addEventListener('change', () => {
+      state.blend = { ...state.blend, resample: scaleSelect.value };
+      commitWorkspace();
+      scheduleAutoGenerate();
+    });
+  }
+
+  // Layout templates: built-ins by key, or the last imported JSON as 'custom'
+  if (layoutSelect) {
+    layoutSelect.addEventListener('change', () => {
+      const key = layoutSelect.value;
+      showLayoutError(null);
+      state.layout = key === 'custom' ? customLayout : LAYOUT_TEMPLATES[key] ?? null;
+      commitWorkspace();
+      scheduleAutoGenerate();
+    });
+  }
+  if (layoutFile) {
+    layoutFile.addEventListener('change', async () => {
+      const file = layoutFile.files?.[0];
+      layoutFile.value = '';
+      if (!file) return;
+      try {
+        customLayout = parseLayoutTemplate(await file.text());
+      } catch (err) {
+        console.error('[parseLayoutTemplate]', err);
+        showLayoutError(err);
+        return;
+      }
+      showLayoutError(null);
+      state.layout = customLayout;
+      syncSettingsInputs();
+      commitWorkspace();
+      scheduleAutoGenerate();
+    });
+  }
+
+  if (speedInput) {
+    speedInput.addEventListener('change', () => {
+      const v = numberSetting(speedInput, 'animationSpeed', state.animationSpeed);
+      if (v !== null) {
+        state.animationSpeed = v;
+        commitWorkspace();
+        syncAnimation();
+      }
+    });
+  }
+
+  Object.entries(paddingInputs).forEach(([key, input]) => {
+    if (!input) return;
+    input.addEventListener('change', () => {
+      const v = numberSetting(input, `padding.${key}`, state.padding[key]);
+      if (v !== null) {
+        state.padding = { ...state.padding, [key]: v };
+        commitWorkspace();
+        scheduleAutoGenerate();
+      }
+    });
+  });
+}
+
+/**
+ * The number in a settings input, clamped to what project files accept for
+ * `key` (clampSetting()) and shown back in the input, so the input, undo
+ * history and saved files agree.  null when it is not a number; the input
+ * then shows `current` again.
+ */
+function numberSetting(input, key, current) {
+  const v = clampSetting(key, parseFloat(input.value));
+  input.value = isNaN(v) ? current : v;
+  return isNaN(v) ? null : v;
+}
+
+/** Write the current state into every settings input (on boot and after opening a project). */
+function syncSettingsInputs() {
+  // A layout is a built-in template, or else the custom one
+  const layoutKey = state.layout
+    ? Object.keys(LAYOUT_TEMPLATES).find(key => LAYOUT_TEMPLATES[key] === state.layout) ?? 'custom'
+    : 'default';
+  const values = {
+    'tileset-name':    state.tilesetName,
+    'background-name': state.backgroundName,
+    'algorithm':       state.algorithm,
+    'orientation':     state.orientation,
+    'tile-size':       state.tileWidth,
+    'tile-height':     state.tileHeight,
+    'anim-speed':      state.animationSpeed,
+    'edge-feather':    state.blend.feather,
+    'inner-corner':    state.blend.innerCorner,
+    'resample':        state.blend.resample,
+    'layout-template': layoutKey,
+    'tile-margin':     state.padding.margin,
+    'tile-spacing':    state.padding.spacing,
+    'tile-extrude':    state.padding.extrude,
+  };
+  Object.entries(values).forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (input) input.value = value;
+  });
+
+  const custom = document.querySelector('#layout-template option[value="custom"]');
+  if (custom) custom.disabled = !customLayout;
+  syncAlgorithmControls();
+}
+
+/** One <option> per value, labelled by i18n key `${prefix}.${value}`. */
+function i18nOptions(values, prefix) {
+  return values.map(value => {
+    const option = document.createElement('option');
+    option.value        = value;
+    option.dataset.i18n = `${prefix}.${value}`;
+    option.textContent  = t(option.dataset.i18n);
+    return option;
+  });
+}
+
+/**
+ * Settings that follow the algorithm: hex sets have their own tile shape, so
+ * orientation does not apply; the 256-tile set notes what its slots cannot draw.
+ */
+function syncAlgorithmControls() {
+  const orientSelect = document.getElementById('orientation');
+  if (orientSelect) orientSelect.disabled = isHexSet(state.algorithm);
+  const rawHint = document.getElementById('algorithm-256-hint');
+  if (rawHint) rawHint.hidden = state.algorithm !== '256';
+}
+
+/** Show why a layout JSON was rejected under the import button; null hides it. */
+function showLayoutError(err) {
+  const box = document.getElementById('layout-error');
+  if (!box) return;
+  box.textContent = err ? `${t('layout.error')}: ${err.message}` : '';
+  box.hidden = !err;
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -192,8 +408,17 @@ function initSettings() {
 // ─────────────────────────────────────────────────────────────
 
 function initUploadPanel() {
-  if (!document.getElementById('drop-main')) return;
-  initUploaders(onImageLoaded);
+  if (!document.getElementById('dropzone-template')) return;
+  initUploaders(onImageLoaded, stripAspect);
+  document.getElementById('variant-slot')?.replaceChildren(...i18nOptions(SLOTS, 'uploader'));
+  initSheetImport('file-a2', onA2Loaded);
+  initSheetImport('file-variants', onVariantLoaded);
+}
+
+/** Frame width / height for still image strips: the tile's, when #strip-frames opts in; else 0. */
+function stripAspect() {
+  if (document.getElementById('strip-frames')?.value !== 'tile') return 0;
+  return state.tileWidth / state.tileHeight;
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -221,6 +446,7 @@ function initTransformControls() {
 
         updateTfBtnStates(slot);
         rebuildImage(slot);
+        commitWorkspace();
         scheduleAutoGenerate();
       });
     });
@@ -273,9 +499,14 @@ function applyTransform(src, { rotation, flipX, flipY }) {
  * Called on first upload and whenever a transform button is pressed.
  */
 function rebuildImage(slot) {
+  const tf = state.transforms[slot];
+  state.variants[slot].forEach(v => { v.image = applyTransform(v.original, tf); });
+  if (state.variants[slot].length) renderVariantList();
+  state.frames[slot] = state.frameOriginals[slot].map(f => applyTransform(f, tf));
+
   const src = state.originals[slot];
   if (!src) return;
-  const canvas = applyTransform(src, state.transforms[slot]);
+  const canvas = applyTransform(src, tf);
   state.images[slot] = canvas;
   updateDropzoneBg(slot, canvas);
 }
@@ -300,16 +531,117 @@ function updateDropzoneBg(slot, imgCanvas) {
   zone.classList.add('has-image');
 }
 
+/** Hide the .dz-bg of an emptied slot (the reverse of updateDropzoneBg). */
+function clearDropzoneBg(slot) {
+  document.getElementById(`drop-${slot}`)?.classList.remove('has-image');
+}
+
 // ─────────────────────────────────────────────────────────────
 // Callback from uploader
 // ─────────────────────────────────────────────────────────────
 
-function onImageLoaded(slot, bitmap) {
-  state.originals[slot] = bitmap;
+function onImageLoaded(slot, bitmap, frames = null) {
+  if (state.originals[slot]) checkpoint('replace');
+  setSlotImage(slot, bitmap, frames);
+  commitWorkspace();
+  scheduleAutoGenerate();
+}
+
+function setSlotImage(slot, bitmap, frames = null) {
+  state.originals[slot]      = bitmap;
+  state.frameOriginals[slot] = frames ?? [];
   rebuildImage(slot);
+}
+
+/** Slice the chosen A2 block into the edge and corner slots. */
+function onA2Loaded(bitmap) {
+  const blockInput = document.getElementById('a2-block');
+  const block      = blockInput ? parseInt(blockInput.value, 10) || 0 : 0;
+  try {
+    const slots = sliceA2Block(bitmap, block);
+    if (Object.keys(slots).some(slot => state.originals[slot])) checkpoint('replace');
+    Object.entries(slots).forEach(([slot, img]) => setSlotImage(slot, img));
+    commitWorkspace();
+    scheduleAutoGenerate();
+  } catch (err) {
+    console.error('[sliceA2Block]', err);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Slot variants
+// ─────────────────────────────────────────────────────────────
+
+/** Add a variant image to the slot chosen in #variant-slot. */
+function onVariantLoaded(bitmap) {
+  const slot = document.getElementById('variant-slot')?.value;
+  if (!state.variants[slot]) return;
+  state.variants[slot].push({
+    original: bitmap,
+    image:    applyTransform(bitmap, state.transforms[slot]),
+    weight:   1,
+  });
+  renderVariantList();
+  commitWorkspace();
   scheduleAutoGenerate();
 }
 
+/** Rebuild #variant-list: thumbnail, slot name, weight input and remove button per variant. */
+function renderVariantList() {
+  const list = document.getElementById('variant-list');
+  if (!list) return;
+  list.replaceChildren();
+
+  SLOTS.forEach(slot => {
+    state.variants[slot].forEach((variant, k) => {
+      const item = document.createElement('li');
+      item.className = 'variant-item';
+
+      const thumb = document.createElement('canvas');
+      thumb.className = 'variant-thumb';
+      thumb.width  = variant.image.width;
+      thumb.height = variant.image.height;
+      thumb.getContext('2d').drawImage(variant.image, 0, 0);
+
+      // Slot name keeps data-i18n so a language switch relabels it
+      const name = document.createElement('span');
+      name.dataset.i18n = `uploader.${slot}`;
+      name.textContent  = t(`uploader.${slot}`);
+      const index = document.createElement('span');
+      index.textContent = `#${k + 1}`;
+
+      const weight = document.createElement('input');
+      weight.type  = 'number';
+      weight.min   = '0.1';
+      weight.step  = '0.1';
+      weight.value = variant.weight;
+      weight.title = t('variants.weight');
+      weight.addEventListener('change', () => {
+        const v = parseFloat(weight.value);
+        if (!isNaN(v) && v > 0) {
+          variant.weight = v;
+          commitWorkspace();
+          scheduleAutoGenerate();
+        }
+      });
+
+      const remove = document.createElement('button');
+      remove.className   = 'tf-btn';
+      remove.textContent = '×';
+      remove.title       = t('variants.remove');
+      remove.addEventListener('click', () => {
+        state.variants[slot].splice(k, 1);
+        renderVariantList();
+        commitWorkspace();
+        scheduleAutoGenerate();
+      });
+
+      item.append(thumb, name, index, weight, remove);
+      list.append(item);
+    });
+  });
+}
+
 // ─────────────────────────────────────────────────────────────
 // Auto-generate (debounced 300 ms)
 // ─────────────────────────────────────────────────────────────
@@ -323,46 +655,306 @@ function scheduleAutoGenerate() {
 
 function doGenerate() {
   // Always re-render the adjacency preview (shows placeholder when no images)
-  renderPreview(state);
+  renderPreview(animatedState());
   applyZoom('preview');
 
-  // Tilemap re-renders whenever state changes (algorithm / tileSize / images)
-  renderTilemap(state);
-  syncWrapHeight('tilemap-canvas', '.tilemap-canvas-wrap', 380);
+  // Tilemap re-renders whenever state changes (algorithm / tile size / images)
+  renderTilemap(state, animFrame);
+  syncAnimation();
+  autosave();
 
   // Only generate + show export buttons when at least one image is loaded
-  if (!SLOTS.some(s => state.images[s])) return;
+  const exportPanel = document.getElementById('export-panel');
+  if (!SLOTS.some(s => state.images[s])) {
+    // Nothing left after undo or opening a project: drop the stale sheet
+    state.result = null;
+    if (exportPanel) exportPanel.hidden = true;
+    return;
+  }
 
   try {
     state.result = generate(state);
-    const exportPanel = document.getElementById('export-panel');
     if (exportPanel) exportPanel.hidden = false;
+    // LDtk and RPG Maker grids are square and orthogonal; RPG Maker also splits
+    // tiles into half-tile quarters, so A2 needs an even size (sliceA2Block)
+    const { tileSize, orientation } = state.result;
+    const squareGrid = tileSize.width === tileSize.height && orientation === 'orthogonal';
+    SQUARE_GRID_EXPORTS.forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !squareGrid || (id === 'export-a2' && tileSize.width % 2 !== 0);
+    });
+    // Unity has no confirmed HexagonalRuleTile script GUID (see exporter.js)
+    const unityBtn = document.getElementById('export-unity');
+    if (unityBtn) unityBtn.disabled = isHexSet(state.result.algorithm);
   } catch (err) {
     console.error('[generate]', err);
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// Animation (preview + tilemap)
+// ─────────────────────────────────────────────────────────────
+
+let animTimer = null;
+let animFrame = 0;
+
+/** State with the slot images of the current animation frame. */
+function animatedState() {
+  return { ...state, images: frameImages(state.images, state.frames, animFrame) };
+}
+
+/** (Re)start the frame timer at the current speed; stop it when nothing is animated. */
+function syncAnimation() {
+  clearInterval(animTimer);
+  animTimer = null;
+  const count = frameCount(state.frames);
+  if (count < 2) { animFrame = 0; return; }
+
+  animTimer = setInterval(() => {
+    animFrame = (animFrame + 1) % count;
+    renderPreview(animatedState());
+    renderTilemapFrame(animFrame);
+  }, 1000 / state.animationSpeed);
+}
+
 // ─────────────────────────────────────────────────────────────
 // Export Buttons (index.html only)
 // ─────────────────────────────────────────────────────────────
 
-function initExportButtons() {
-  const btnPNG   = document.getElementById('export-png');
-  const btnUnity = document.getElementById('export-unity');
-  if (!btnPNG && !btnUnity) return;
+// Archive exporters share one signature: (canvas, tiles, tileSize, algorithm, name, options)
+// tileSize is the generated { width, height }; options.background names the second
+// terrain, or is null when no background image is loaded
+const ARCHIVE_EXPORTS = [
+  { id: 'export-unity', fn: exportUnityPackage, tag: 'exportUnityPackage' },
+  { id: 'export-godot', fn: exportGodotTileSet, tag: 'exportGodotTileSet' },
+  { id: 'export-tiled', fn: exportTiledTileset, tag: 'exportTiledTileset' },
+  { id: 'export-ldtk',  fn: exportLDtkProject,  tag: 'exportLDtkProject' },
+  { id: 'export-gm',    fn: exportGameMaker,    tag: 'exportGameMaker' },
+  { id: 'export-defold', fn: exportDefold,      tag: 'exportDefold' },
+];
+
+// Exports disabled for non-square or isometric tiles (and A2 for odd sizes)
+const SQUARE_GRID_EXPORTS = ['export-ldtk', 'export-a2'];
 
+function initExportButtons() {
+  const btnPNG = document.getElementById('export-png');
   if (btnPNG) {
     btnPNG.addEventListener('click', () => {
       if (state.result) exportPNG(state.result.canvas, `${state.tilesetName}-${state.algorithm}.png`);
     });
   }
-  if (btnUnity) {
-    btnUnity.addEventListener('click', () => {
-      if (state.result)
-        exportUnityPackage(state.result.canvas, state.result.tiles, state.tileSize, state.algorithm, state.tilesetName)
-          .catch(err => console.error('[exportUnityPackage]', err));
+
+  document.getElementById('export-a2')?.addEventListener('click', () => {
+    if (state.result) exportRPGMakerA2(state.images, state.result.tileSize.width, state.tilesetName, state.blend);
+  });
+
+  ARCHIVE_EXPORTS.forEach(({ id, fn, tag }) => {
+    document.getElementById(id)?.addEventListener('click', () => {
+      if (!state.result) return;
+      const options = {
+        background:     state.images.background ? state.backgroundName : null,
+        animationSpeed: state.animationSpeed,
+        padding:        state.result.padding,
+        orientation:    state.result.orientation,
+        layout:         state.result.layout,
+      };
+      fn(state.result.canvas, state.result.tiles, state.result.tileSize, state.algorithm, state.tilesetName, options)
+        .catch(err => console.error(`[${tag}]`, err));
     });
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Project Save / Open (index.html only)
+// ─────────────────────────────────────────────────────────────
+
+function initProjectButtons() {
+  document.getElementById('project-save')?.addEventListener('click', () => {
+    try {
+      exportProject(buildProject(state, getTilemap()), state.tilesetName);
+    } catch (err) {
+      console.error('[exportProject]', err);
+    }
+  });
+
+  const input = document.getElementById('file-project');
+  input?.addEventListener('change', async () => {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+    try {
+      const project = await readProject(await file.text());
+      checkpoint('open');
+      restoreProject(project);
+      commitWorkspace();
+    } catch (err) {
+      console.error('[readProject]', err);
+    }
+  });
+}
+
+/** Replace the whole app state with an opened project or session (see decodeProject()). */
+function restoreProject({ settings, slots, tilemap }) {
+  applyProjectSettings(state, settings);
+  // A saved built-in template comes back as that template; anything else is custom
+  if (state.layout) {
+    const { name, algorithm } = state.layout;
+    const builtIn = Object.values(LAYOUT_TEMPLATES).find(l => l.name === name && l.algorithm === algorithm);
+    if (builtIn) state.layout = builtIn;
+    else customLayout = state.layout;
   }
+
+  SLOTS.forEach(slot => {
+    const entry = slots[slot];
+    state.originals[slot]      = entry?.original ?? null;
+    state.transforms[slot]     = { rotation: 0, flipX: false, flipY: false, ...entry?.transform };
+    state.frameOriginals[slot] = entry?.frames ?? [];
+    state.variants[slot]       = (entry?.variants ?? []).map(v => ({ ...v, image: applyTransform(v.original, state.transforms[slot]) }));
+    state.images[slot]         = null;
+    rebuildImage(slot);
+    updateTfBtnStates(slot);
+    if (!state.originals[slot]) clearDropzoneBg(slot);
+  });
+  renderVariantList();
+  setTilemap(tilemap);
+  syncSettingsInputs();
+  scheduleAutoGenerate();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Autosave (IndexedDB sessions)
+// ─────────────────────────────────────────────────────────────
+
+let saveTimer = null;
+
+/** Autosave once tilemap painting pauses; strokes do not run doGenerate. */
+function scheduleAutosave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(autosave, 1000);
+}
+
+/** Store the workspace as the newest session; an empty workspace is not stored. */
+function autosave() {
+  clearTimeout(saveTimer);
+  const tilemap = getTilemap();
+  if (!hasWork(tilemap)) return;
+  saveSession(buildProject(state, tilemap))
+    .then(listSessions)
+    .then(renderSessionList)
+    .catch(err => console.error('[saveSession]', err));
+}
+
+/**
+ * Keep the workspace as it is now in a checkpoint session before `reason`
+ * ('clear', 'fill', 'open', 'restore', 'replace') overwrites it.  The project
+ * is built right away, before the caller goes on to change the state.
+ */
+function checkpoint(reason) {
+  const tilemap = getTilemap();
+  if (!hasWork(tilemap)) return;
+  saveCheckpoint(buildProject(state, tilemap), reason)
+    .then(listSessions)
+    .then(renderSessionList)
+    .catch(err => console.error('[saveCheckpoint]', err));
+}
+
+function hasWork(tilemap) {
+  return SLOTS.some(s => state.originals[s] || state.variants[s].length) || tilemap.cells.some(Boolean);
+}
+
+/** Offer the newest stored session on boot, and wire the recent-sessions list. */
+async function initSessions() {
+  const sessions = await listSessions();
+  renderSessionList(sessions);
+
+  document.getElementById('session-restore')?.addEventListener('click', async () => {
+    const id = Number(document.getElementById('session-list')?.value);
+    const session = (await listSessions()).find(s => s.id === id);
+    if (session) restoreSession(session);
+  });
+
+  const prompt = document.getElementById('session-prompt');
+  if (!prompt || !sessions.length) return;
+  const last = sessions[0];
+  document.getElementById('session-prompt-time').textContent = sessionTime(last);
+  document.getElementById('session-prompt-restore')?.addEventListener('click', () => {
+    prompt.hidden = true;
+    restoreSession(last);
+  });
+  document.getElementById('session-prompt-dismiss')?.addEventListener('click', () => { prompt.hidden = true; });
+  prompt.hidden = false;
+}
+
+function restoreSession(session) {
+  decodeProject(session.project)
+    .then(project => { checkpoint('restore'); restoreProject(project); commitWorkspace(); })
+    .catch(err => console.error('[restoreSession]', err));
+}
+
+/** Fill #session-list with the stored sessions, newest first. */
+function renderSessionList(sessions) {
+  const list = document.getElementById('session-list');
+  if (!list) return;
+  list.replaceChildren(...sessions.map(session => {
+    const option = document.createElement('option');
+    option.value       = session.id;
+    const before = session.kind === 'checkpoint' ? ` · ${t(`session.before.${session.reason}`)}` : '';
+    option.textContent = `${sessionTime(session)}${before} · ${session.project.settings?.tilesetName ?? ''}`;
+    return option;
+  }));
+}
+
+function sessionTime(session) {
+  return new Date(session.savedAt).toLocaleString(state.lang);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Undo / Redo
+// ─────────────────────────────────────────────────────────────
+
+/** Everything undo restores: settings, slot images with transforms, and the tilemap. */
+function captureWorkspace() {
+  const slots = Object.fromEntries(SLOTS.map(slot => [slot, {
+    original:  state.originals[slot],
+    transform: { ...state.transforms[slot] },
+    frames:    state.frameOriginals[slot],
+    variants:  state.variants[slot].map(({ original, weight }) => ({ original, weight })),
+  }]));
+  return { settings: projectSettings(state), slots, tilemap: getTilemap() };
+}
+
+/** Record the state after a completed change as one undo step. */
+function commitWorkspace() {
+  commitHistory(captureWorkspace());
+}
+
+function undo() {
+  const snapshot = undoHistory();
+  if (snapshot) restoreProject(snapshot);
+}
+
+function redo() {
+  const snapshot = redoHistory();
+  if (snapshot) restoreProject(snapshot);
+}
+
+function initHistoryControls() {
+  const undoBtn = document.getElementById('history-undo');
+  const redoBtn = document.getElementById('history-redo');
+  initHistory(captureWorkspace(), () => {
+    if (undoBtn) undoBtn.disabled = !canUndo();
+    if (redoBtn) redoBtn.disabled = !canRedo();
+  });
+  undoBtn?.addEventListener('click', undo);
+  redoBtn?.addEventListener('click', redo);
+
+  // Ctrl+Z / Ctrl+Shift+Z (⌘ on macOS); text fields keep their own undo
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+    if (e.target.matches?.('input[type="text"], input[type="number"], textarea')) return;
+    e.preventDefault();
+    if (e.shiftKey) redo(); else undo();
+  });
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -371,7 +963,6 @@ function initExportButtons() {
 
 function initZoomControls() {
   wireZoom('preview');
-  wireZoom('tilemap');
 }
 
 function wireZoom(key) {
@@ -394,18 +985,6 @@ function wireZoom(key) {
   });
 }
 
-/**
- * Lock a canvas-wrap's height to the canvas's natural pixel height (+ 2×1rem padding),
- * capped at maxH. Called after each render so zoom scales within a stable block.
- */
-function syncWrapHeight(canvasId, wrapSelector, maxH) {
-  const canvas = document.getElementById(canvasId);
-  const wrap   = canvas?.closest(wrapSelector);
-  if (canvas && wrap) {
-    wrap.style.height = Math.min(canvas.height + 32, maxH) + 'px';
-  }
-}
-
 /**
  * Scale a canvas's CSS display size by the current zoom level.
  * The canvas's backing pixels are unchanged; only the rendered size changes.
@@ -435,7 +1014,7 @@ function initSpritesheetHover() {
   canvas.addEventListener('mousemove', e => {
     if (!state.result) { tooltip.hidden = true; return; }
 
-    const { tiles, algorithm } = state.result;
+    const { tiles, algorithm, layout, tileSize, padding } = state.result;
     const rect   = canvas.getBoundingClientRect();
     const scaleX = canvas.width  / rect.width;
     const scaleY = canvas.height / rect.height;
@@ -446,36 +1025,50 @@ function initSpritesheetHover() {
     const gridOffsetX = PREVIEW_PAD + PREVIEW_DISPLAY_TS + PREVIEW_CP_GAP;
     const gridOffsetY = PREVIEW_PAD + PREVIEW_LABEL_H;
     const ts   = PREVIEW_DISPLAY_TS;
-    const cols = previewGridCols(algorithm);
+    const tsH  = previewTileHeight(state.tileWidth, state.tileHeight);
+    const cols = previewGridCols(algorithm, layout);
 
     const tileX = px - gridOffsetX;
     const tileY = py - gridOffsetY;
     if (tileX < 0 || tileY < 0) { tooltip.hidden = true; return; }
 
     const tileCol = Math.floor(tileX / ts);
-    const tileRow = Math.floor(tileY / ts);
-    if (tileCol >= cols || tileRow >= PREVIEW_GRID_ROWS) { tooltip.hidden = true; return; }
-
-    const tile = tiles[tileRow * cols + tileCol];
-    if (!tile) { tooltip.hidden = true; return; }
-
-    // Decode cardinal + diagonal bits
+    const tileRow = Math.floor(tileY / tsH);
+    if (tileCol >= cols || tileRow >= previewGridRows(algorithm, layout)) { tooltip.hidden = true; return; }
+
+    // A layout template shows the sheet as laid out: find the first-frame tile in that cell
+    const sheet = sheetLayout(padding);
+    const tile  = layout
+      ? tiles.find(t => t.frameOf === undefined && t.variantOf === undefined &&
+                        tileCell(t, tileSize, sheet).col === tileCol && tileCell(t, tileSize, sheet).row === tileRow)
+      : tiles[tileRow * cols + tileCol];
+    if (!tile || tile.background) { tooltip.hidden = true; return; }
+
+    // Decode cardinal + diagonal bits (corner-set tiles carry corners only)
+    const isCorner = isCornerSet(algorithm);
     const bm4 = tile.bitmask4 ?? tile.bitmask ?? 0;
     const bm8 = tile.bitmask8 ?? 0;
+    const cm  = tile.corners ?? 0;
     const hasN  = !!(bm4 & 0x1),  hasE  = !!(bm4 & 0x2);
     const hasS  = !!(bm4 & 0x4),  hasW  = !!(bm4 & 0x8);
-    const hasNE = !!(bm8 & 0x02), hasSE = !!(bm8 & 0x08);
-    const hasSW = !!(bm8 & 0x20), hasNW = !!(bm8 & 0x80);
-    const is47  = algorithm === '47';
+    const hasNE = isCorner ? !!(cm & 0x1) : !!(bm8 & 0x02);
+    const hasSE = isCorner ? !!(cm & 0x2) : !!(bm8 & 0x08);
+    const hasSW = isCorner ? !!(cm & 0x4) : !!(bm8 & 0x20);
+    const hasNW = isCorner ? !!(cm & 0x8) : !!(bm8 & 0x80);
+    const is8   = algorithm === '47' || algorithm === '256';
 
     const posMap = { n: hasN, e: hasE, s: hasS, w: hasW,
                      ne: hasNE, se: hasSE, sw: hasSW, nw: hasNW };
 
+    // Hex tiles: six sides, the two 3×3 positions without a hex side are don't care
+    const hexSides = isHexSet(algorithm) ? HEX_SIDES[hexTop(algorithm)].map(s => s.toLowerCase()) : null;
+    if (hexSides) hexSides.forEach((pos, i) => { posMap[pos] = !!(tile.bitmask6 & (1 << i)); });
+
     tooltip.querySelectorAll('[data-pos]').forEach(cell => {
       const pos    = cell.dataset.pos;
       const isDiag = ['ne', 'se', 'sw', 'nw'].includes(pos);
       cell.className = 'tt-cell';
-      if (!is47 && isDiag) { cell.classList.add('tt-dc'); }
+      if (hexSides ? !hexSides.includes(pos) : isCorner ? !isDiag : (!is8 && isDiag)) { cell.classList.add('tt-dc'); }
       else if (posMap[pos]) { cell.classList.add('filled'); }
     });
 
@@ -2,14 +2,23 @@
  * preview.js — Real-time adjacency preview renderer.
  *
  * Layout:
- *   Left column  — 4 "Common Patterns" tiles stacked vertically
+ *   Left column  — 4 "Common Patterns" tiles stacked vertically (the 47 and
+ *                  256 sets show an inner corner in place of the V-strip, so
+ *                  the inner corner strategy can be seen)
  *   Right grid   — Full tile set, PREVIEW_GRID_ROWS rows × variable columns
+ *                  (the 256-tile and hex sets keep their 16×16 / 8×8 sheet
+ *                  layout instead, and a layout template shows its own grid)
  *
- * All tiles render at a fixed PREVIEW_DISPLAY_TS regardless of state.tileSize,
- * so the panel stays compact and balanced at any tile resolution.
+ * All tiles render PREVIEW_DISPLAY_TS wide regardless of the tile size, so
+ * the panel stays compact and balanced at any tile resolution.  Non-square
+ * tiles keep their aspect ratio: see previewTileHeight().  The feather width
+ * is given in tile pixels, so it is scaled along with the tile
+ * (previewBlend()) and the falloff looks the same as in the export.
  */
 
-import { composeQuadrants, generate16, generate47 } from './tilegen.js';
+import { composeQuadrants, composeCorners, composeHex,
+         generate16, generate47, generate256, generateHex,
+         isCornerSet, isHexSet, hexTop, hexOutline, generate, activeLayout } from './tilegen.js';
 
 // ─────────────────────────────────────────────────────────────
 // Layout constants — also imported by main.js for hover hit-testing
@@ -19,13 +28,34 @@ export const PREVIEW_DISPLAY_TS = 32;   // Fixed tile display size (px)
 export const PREVIEW_PAD        = 8;    // Outer padding
 export const PREVIEW_CP_GAP     = 10;   // Gap between CP column and tile grid
 export const PREVIEW_LABEL_H    = 14;   // Section label row height
-export const PREVIEW_GRID_ROWS  = 4;    // Tile grid always 4 rows
+export const PREVIEW_GRID_ROWS  = 4;    // Tile grid rows (all sets except 256 and hex)
 
-/** Number of tile grid columns for a given algorithm. */
-export function previewGridCols(algorithm) {
+/** Display height of one preview tile for a tileWidth × tileHeight set. */
+export function previewTileHeight(tileWidth, tileHeight = tileWidth) {
+  return Math.max(1, Math.round(PREVIEW_DISPLAY_TS * tileHeight / tileWidth));
+}
+
+/** Number of tile grid columns for a given algorithm and active layout template. */
+export function previewGridCols(algorithm, layout = null) {
+  if (layout) return layout.columns;
+  if (algorithm === '256') return 16;
+  if (isHexSet(algorithm)) return 8;
   return algorithm === '47' ? Math.ceil(47 / PREVIEW_GRID_ROWS) : 4; // 12 or 4
 }
 
+/** Number of tile grid rows for a given algorithm and active layout template. */
+export function previewGridRows(algorithm, layout = null) {
+  if (layout) return layout.rows;
+  if (isHexSet(algorithm)) return 8;
+  return algorithm === '256' ? 16 : PREVIEW_GRID_ROWS;
+}
+
+/** `blend` for tiles drawn PREVIEW_DISPLAY_TS wide instead of tileWidth. */
+function previewBlend(blend = {}, tileWidth) {
+  if (!blend.feather) return blend;
+  return { ...blend, feather: Math.max(1, Math.round(blend.feather * PREVIEW_DISPLAY_TS / tileWidth)) };
+}
+
 // ─────────────────────────────────────────────────────────────
 // Common Patterns — 4 archetypal tiles
 // ─────────────────────────────────────────────────────────────
@@ -37,6 +67,30 @@ const CP_PATTERNS = [
   { bitmask4: 0b1111 },   // Full
 ];
 
+// 47 and 256 sets read diagonals too: swap the V-strip for an inner corner
+const CP_BLOB_PATTERNS = [
+  { bitmask4: 0b0000, bitmask8: 0x00 },   // Isolated
+  { bitmask4: 0b1010, bitmask8: 0x44 },   // H-Strip  (W+E)
+  { bitmask4: 0b1111, bitmask8: 0xF7 },   // Inner    (all but SE)
+  { bitmask4: 0b1111, bitmask8: 0xFF },   // Full
+];
+
+// Wang sets have no cardinal neighbors, so show the corner archetypes instead
+const CP_CORNER_PATTERNS = [
+  { corners: 0b1000 },    // Single corner (NW)
+  { corners: 0b1001 },    // Edge      (NW+NE)
+  { corners: 0b1101 },    // Inner     (all but SE)
+  { corners: 0b1111 },    // Full
+];
+
+// Hex sets: bitmask6 archetypes, read against either hex top
+const CP_HEX_PATTERNS = [
+  { bitmask6: 0b000000 },  // Isolated
+  { bitmask6: 0b010010 },  // Strip through bits 1 + 4 (pointy E+W, flat NE+SW)
+  { bitmask6: 0b001001 },  // Strip through bits 0 + 3 (pointy NE+SW, flat N+S)
+  { bitmask6: 0b111111 },  // Full
+];
+
 // ─────────────────────────────────────────────────────────────
 // Public API
 // ─────────────────────────────────────────────────────────────
@@ -45,18 +99,25 @@ export function renderPreview(state) {
   const canvas = document.getElementById('preview-canvas');
   if (!canvas) return;
 
-  const { images, algorithm } = state;
+  const { images, algorithm, orientation } = state;
+  const blend   = previewBlend(state.blend, state.tileWidth);
   const ts      = PREVIEW_DISPLAY_TS;
+  const th      = previewTileHeight(state.tileWidth, state.tileHeight);
   const PAD     = PREVIEW_PAD;
   const LABEL_H = PREVIEW_LABEL_H;
   const CP_GAP  = PREVIEW_CP_GAP;
-  const ROWS    = PREVIEW_GRID_ROWS;
-  const cols    = previewGridCols(algorithm);
+  const layout  = activeLayout(algorithm, state.layout);
+  const ROWS    = previewGridRows(algorithm, layout);
+  const cols    = previewGridCols(algorithm, layout);
   const is47    = algorithm === '47';
+  const isBlob  = is47 || algorithm === '256';
+  const isCorner  = isCornerSet(algorithm);
+  const hexSet  = isHexSet(algorithm);
+  const top     = hexTop(algorithm);
   const hasAny  = Object.values(images).some(v => v !== null);
 
   const totalW = PAD + ts + CP_GAP + cols * ts + PAD;
-  const totalH = PAD + LABEL_H + ROWS * ts + PAD;
+  const totalH = PAD + LABEL_H + ROWS * th + PAD;
 
   canvas.width  = totalW;
   canvas.height = totalH;
@@ -67,19 +128,30 @@ export function renderPreview(state) {
 
   // ── Section labels ───────────────────────────────────────────
   drawLabel(ctx, PAD, PAD, 'Common');
-  drawLabel(ctx, PAD + ts + CP_GAP, PAD, is47 ? '47-Tile Set' : '16-Tile Set');
+  drawLabel(ctx, PAD + ts + CP_GAP, PAD, setLabel(algorithm));
 
   const contentY = PAD + LABEL_H;
 
   // ── Common Patterns column (vertical, left) ──────────────────
-  CP_PATTERNS.forEach((p, i) => {
+  (isBlob ? CP_BLOB_PATTERNS : CP_PATTERNS).forEach((p, i) => {
     const x = PAD;
-    const y = contentY + i * ts;
-    if (hasAny) {
-      composeQuadrants(ctx, x, y, ts, p.bitmask4, images);
-      drawNeighborDots(ctx, x, y, ts, p.bitmask4);
+    const y = contentY + i * th;
+    if (hexSet) {
+      const { bitmask6 } = CP_HEX_PATTERNS[i];
+      if (hasAny) composeHex(ctx, x, y, ts, th, bitmask6, images, top, blend);
+      else        drawPlaceholder(ctx, x, y, ts, th, 0);
+      drawHexDots(ctx, x, y, ts, th, bitmask6, top);
+    } else if (isCorner) {
+      const { corners } = CP_CORNER_PATTERNS[i];
+      if (hasAny) composeCorners(ctx, x, y, ts, th, corners, images, orientation, blend);
+      else        drawPlaceholder(ctx, x, y, ts, th, 0);
+      drawCornerDots(ctx, x, y, ts, th, corners);
+    } else if (hasAny) {
+      composeQuadrants(ctx, x, y, ts, th, p.bitmask4, images, p.bitmask8 ?? 0, orientation, blend);
+      drawNeighborDots(ctx, x, y, ts, th, p.bitmask4);
+      if (isBlob) drawCornerDots(ctx, x, y, ts, th, diagonalCorners(p.bitmask8));
     } else {
-      drawPlaceholder(ctx, x, y, ts, p.bitmask4);
+      drawPlaceholder(ctx, x, y, ts, th, p.bitmask4);
     }
   });
 
@@ -88,9 +160,13 @@ export function renderPreview(state) {
   const gridY = contentY;
 
   if (hasAny) {
-    if (is47) {
+    if (layout) {
+      // The template sheet as generated, cropped to the template grid
+      const { canvas: src } = generate({ images, tileWidth: ts, tileHeight: th, algorithm, orientation, blend, layout });
+      ctx.drawImage(src, 0, 0, cols * ts, ROWS * th, gridX, gridY, cols * ts, ROWS * th);
+    } else if (is47) {
       // generate47 returns an 8-col canvas; remap tiles to 4-row display layout
-      const { canvas: src } = generate47(images, ts);
+      const { canvas: src } = generate47(images, ts, th, orientation, blend);
       const SRC_COLS = 8;
       for (let idx = 0; idx < 47; idx++) {
         const sc = idx % SRC_COLS;
@@ -98,15 +174,24 @@ export function renderPreview(state) {
         const dc = idx % cols;
         const dr = Math.floor(idx / cols);
         ctx.drawImage(src,
-          sc * ts, sr * ts, ts, ts,
-          gridX + dc * ts, gridY + dr * ts, ts, ts);
+          sc * ts, sr * th, ts, th,
+          gridX + dc * ts, gridY + dr * th, ts, th);
       }
+    } else if (hexSet) {
+      // generateHex returns an 8×8 canvas matching previewGridRows()
+      ctx.drawImage(generateHex(images, ts, th, top, blend).canvas, gridX, gridY);
+    } else if (algorithm === '256') {
+      // generate256 returns a 16×16 canvas matching previewGridRows('256')
+      ctx.drawImage(generate256(images, ts, th, orientation, blend).canvas, gridX, gridY);
+    } else if (isCorner) {
+      // Corner sets are 4×4 canvases, same footprint as the 16-tile set
+      ctx.drawImage(generate({ images, tileWidth: ts, tileHeight: th, algorithm, orientation, blend }).canvas, gridX, gridY);
     } else {
       // generate16 returns a 4×4 canvas which already matches PREVIEW_GRID_ROWS
-      ctx.drawImage(generate16(images, ts).canvas, gridX, gridY);
+      ctx.drawImage(generate16(images, ts, th, orientation, blend).canvas, gridX, gridY);
     }
   } else {
-    drawPlaceholderGrid(ctx, gridX, gridY, cols, ROWS, ts);
+    drawPlaceholderGrid(ctx, gridX, gridY, cols, ROWS, ts, th);
   }
 }
 
@@ -114,13 +199,25 @@ export function renderPreview(state) {
 // Drawing helpers
 // ─────────────────────────────────────────────────────────────
 
+function setLabel(algorithm) {
+  switch (algorithm) {
+    case '47':   return '47-Tile Set';
+    case '256':  return '256-Tile Set';
+    case 'wang': return 'Wang Corner Set';
+    case 'dual': return 'Dual-Grid Set';
+    case 'hex-pointy': return 'Hex Set (Pointy)';
+    case 'hex-flat':   return 'Hex Set (Flat)';
+    default:     return '16-Tile Set';
+  }
+}
+
 function drawLabel(ctx, x, y, text) {
   ctx.fillStyle = '#555';
   ctx.font      = '10px system-ui, sans-serif';
   ctx.fillText(text, x, y + 11);
 }
 
-function drawPlaceholder(ctx, x, y, ts, bitmask4) {
+function drawPlaceholder(ctx, x, y, ts, th, bitmask4) {
   const hasN = !!(bitmask4 & 0b0001);
   const hasE = !!(bitmask4 & 0b0010);
   const hasS = !!(bitmask4 & 0b0100);
@@ -129,51 +226,74 @@ function drawPlaceholder(ctx, x, y, ts, bitmask4) {
   const count = [hasN, hasE, hasS, hasW].filter(Boolean).length;
   const shade = 30 + count * 18;
   ctx.fillStyle = `rgb(${shade},${shade},${shade})`;
-  ctx.fillRect(x, y, ts, ts);
+  ctx.fillRect(x, y, ts, th);
 
   ctx.strokeStyle = '#3a3a3a';
   ctx.lineWidth   = 1;
-  ctx.strokeRect(x + 0.5, y + 0.5, ts - 1, ts - 1);
+  ctx.strokeRect(x + 0.5, y + 0.5, ts - 1, th - 1);
 
   ctx.fillStyle = 'rgba(249,115,22,0.35)';
-  const ew = Math.max(2, ts / 8);
+  const ew = Math.max(2, Math.min(ts, th) / 8);
   if (hasN) ctx.fillRect(x,            y,            ts, ew);
-  if (hasS) ctx.fillRect(x,            y + ts - ew,  ts, ew);
-  if (hasW) ctx.fillRect(x,            y,            ew, ts);
-  if (hasE) ctx.fillRect(x + ts - ew,  y,            ew, ts);
+  if (hasS) ctx.fillRect(x,            y + th - ew,  ts, ew);
+  if (hasW) ctx.fillRect(x,            y,            ew, th);
+  if (hasE) ctx.fillRect(x + ts - ew,  y,            ew, th);
 }
 
-function drawPlaceholderGrid(ctx, startX, startY, cols, rows, ts) {
+function drawPlaceholderGrid(ctx, startX, startY, cols, rows, ts, th) {
   for (let r = 0; r < rows; r++) {
     for (let c = 0; c < cols; c++) {
       const x   = startX + c * ts;
-      const y   = startY + r * ts;
+      const y   = startY + r * th;
       const bm  = (r * cols + c) & 0xF;
       const cnt = [bm & 1, (bm >> 1) & 1, (bm >> 2) & 1, (bm >> 3) & 1].filter(Boolean).length;
       const s   = 28 + cnt * 12;
       ctx.fillStyle = `rgb(${s},${s},${s})`;
-      ctx.fillRect(x, y, ts, ts);
+      ctx.fillRect(x, y, ts, th);
       ctx.strokeStyle = '#2e2e2e';
       ctx.lineWidth   = 1;
-      ctx.strokeRect(x + 0.5, y + 0.5, ts - 1, ts - 1);
+      ctx.strokeRect(x + 0.5, y + 0.5, ts - 1, th - 1);
     }
   }
 }
 
-function drawNeighborDots(ctx, x, y, ts, bitmask4) {
+function drawNeighborDots(ctx, x, y, ts, th, bitmask4) {
   const hasN = !!(bitmask4 & 0b0001);
   const hasE = !!(bitmask4 & 0b0010);
   const hasS = !!(bitmask4 & 0b0100);
   const hasW = !!(bitmask4 & 0b1000);
 
-  const r = Math.max(2, ts / 16);
+  const r = Math.max(2, Math.min(ts, th) / 16);
   const m = r + 1;
 
   [
     { cx: x + ts / 2,  cy: y + m,       has: hasN },
-    { cx: x + ts - m,  cy: y + ts / 2,  has: hasE },
-    { cx: x + ts / 2,  cy: y + ts - m,  has: hasS },
-    { cx: x + m,       cy: y + ts / 2,  has: hasW },
+    { cx: x + ts - m,  cy: y + th / 2,  has: hasE },
+    { cx: x + ts / 2,  cy: y + th - m,  has: hasS },
+    { cx: x + m,       cy: y + th / 2,  has: hasW },
+  ].forEach(({ cx, cy, has }) => {
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fillStyle = has ? '#f97316' : '#333';
+    ctx.fill();
+  });
+}
+
+/** The diagonal neighbors of a bitmask8 as a corner mask (NE=1, SE=2, SW=4, NW=8). */
+function diagonalCorners(bitmask8) {
+  return (bitmask8 & 0x02 ? 0x1 : 0) | (bitmask8 & 0x08 ? 0x2 : 0)
+       | (bitmask8 & 0x20 ? 0x4 : 0) | (bitmask8 & 0x80 ? 0x8 : 0);
+}
+
+function drawCornerDots(ctx, x, y, ts, th, corners) {
+  const r = Math.max(2, Math.min(ts, th) / 16);
+  const m = r + 1;
+
+  [
+    { cx: x + ts - m,  cy: y + m,       has: !!(corners & 0x1) },  // NE
+    { cx: x + ts - m,  cy: y + th - m,  has: !!(corners & 0x2) },  // SE
+    { cx: x + m,       cy: y + th - m,  has: !!(corners & 0x4) },  // SW
+    { cx: x + m,       cy: y + m,       has: !!(corners & 0x8) },  // NW
   ].forEach(({ cx, cy, has }) => {
     ctx.beginPath();
     ctx.arc(cx, cy, r, 0, Math.PI * 2);
@@ -181,3 +301,20 @@ function drawNeighborDots(ctx, x, y, ts, bitmask4) {
     ctx.fill();
   });
 }
+
+function drawHexDots(ctx, x, y, ts, th, bitmask6, top) {
+  const r       = Math.max(2, Math.min(ts, th) / 16);
+  const outline = hexOutline(x, y, ts, th, top);
+  const [cx, cy] = [x + ts / 2, y + th / 2];
+
+  outline.forEach(([ax, ay], side) => {
+    const [bx, by] = outline[(side + 1) % 6];
+    // Side midpoint, pulled a quarter of the way towards the centre
+    const mx = (ax + bx) / 2;
+    const my = (ay + by) / 2;
+    ctx.beginPath();
+    ctx.arc(mx + (cx - mx) / 4, my + (cy - my) / 4, r, 0, Math.PI * 2);
+    ctx.fillStyle = bitmask6 & (1 << side) ? '#f97316' : '#333';
+    ctx.fill();
+  });
+}
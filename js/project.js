@@ -0,0 +1,264 @@
+/**
+ * project.js — Project files (.bacon).
+ *
+ * A project is a single JSON document holding everything needed to pick the
+ * work up again: the settings, every slot image with its transform, frames and
+ * variants, and the painted tilemap.
+ *
+ *   {
+ *     "format":   "bacon",
+ *     "version":  1,
+ *     "settings": { "tileWidth": 32, "algorithm": "47", "blend": { … }, … },
+ *     "slots": {
+ *       "main": {
+ *         "image":     "data:image/png;base64,…",
+ *         "transform": { "rotation": 0, "flipX": false, "flipY": false },
+ *         "frames":    [ "data:image/png;base64,…", … ],   // after the first
+ *         "variants":  [ { "image": "data:…", "weight": 1 }, … ]
+ *       }, …
+ *     },
+ *     "tilemap":  { "columns": 12, "rows": 10, "cells": [0, 1, 2, …] }   // row-major
+ *   }
+ *
+ * Images are embedded as PNG exactly as they were loaded, before the slot
+ * transform, so opening a project rebuilds the derived images the same way an
+ * upload does.  Empty slots are left out.
+ *
+ * Versioning: PROJECT_VERSION goes up with every format change, and
+ * MIGRATIONS gains the step that upgrades a document of the previous version.
+ * migrateProject() runs every step from the file's version up, so older files
+ * open as the current format.  Settings a file does not have keep the app's
+ * current values.
+ */
+
+import { parseLayoutTemplate } from './layouts.js';
+import { ALGORITHMS, ORIENTATIONS, INNER_CORNER_STRATEGIES } from './tilegen.js';
+import { RESAMPLE_MODES } from './resample.js';
+import { createCanvas } from './canvas.js';
+
+export const PROJECT_VERSION = 1;
+
+// state keys saved under "settings"; blend and padding are merged key by key
+const SETTING_KEYS = ['tileWidth', 'tileHeight', 'orientation', 'algorithm', 'tilesetName',
+                      'backgroundName', 'animationSpeed', 'blend', 'padding', 'layout'];
+
+// What a setting may hold — in a saved file and in the settings inputs alike
+// (clampSetting()): a number range (whole numbers with `int`), one of a list,
+// or a text length.  blend and padding have one rule per key.
+const SETTING_RULES = {
+  tileWidth:      { min: 8, max: 256, int: true },
+  tileHeight:     { min: 8, max: 256, int: true },
+  orientation:    { oneOf: ORIENTATIONS },
+  algorithm:      { oneOf: ALGORITHMS },
+  tilesetName:    { maxLength: 48 },
+  backgroundName: { maxLength: 48 },
+  animationSpeed: { min: 0.1, max: 60 },
+  blend: {
+    feather:      { min: 0, max: 64, int: true },
+    innerCorner:  { oneOf: INNER_CORNER_STRATEGIES },
+    resample:     { oneOf: RESAMPLE_MODES },
+  },
+  padding: {
+    margin:       { min: 0, max: 64, int: true },
+    spacing:      { min: 0, max: 64, int: true },
+    extrude:      { min: 0, max: 16, int: true },
+  },
+};
+
+// MIGRATIONS[n] takes a version-n document and returns it as version n + 1
+const MIGRATIONS = {};
+
+// ─────────────────────────────────────────────────────────────
+// Save
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Project document for the app state and the tilemap (see getTilemap()).
+ *
+ * @param {Object} state
+ * @param {{ columns: number, rows: number, cells: number[] }} tilemap
+ * @returns {Object}  plain JSON-ready object
+ */
+export function buildProject(state, tilemap) {
+  const slots = {};
+  Object.keys(state.originals).forEach(slot => {
+    const original = state.originals[slot];
+    const variants = state.variants[slot] ?? [];
+    if (!original && !variants.length) return;
+    slots[slot] = {
+      image:     original ? toPNG(original) : null,
+      transform: { ...state.transforms[slot] },
+      frames:    (state.frameOriginals[slot] ?? []).slice(1).map(toPNG),
+      variants:  variants.map(v => ({ image: toPNG(v.original), weight: v.weight })),
+    };
+  });
+
+  return { format: 'bacon', version: PROJECT_VERSION, settings: projectSettings(state), slots, tilemap };
+}
+
+/** The settings a project keeps, read from `state` (see applyProjectSettings()). */
+export function projectSettings(state) {
+  return Object.fromEntries(SETTING_KEYS.map(key => [key, state[key]]));
+}
+
+// ─────────────────────────────────────────────────────────────
+// Open
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse a .bacon file, migrate it to PROJECT_VERSION and decode its images.
+ * Throws an Error when the text is not a project this version can read.
+ * @param {string} text
+ * @returns {Promise<Object>}  see decodeProject()
+ */
+export function readProject(text) {
+  return decodeProject(JSON.parse(text));
+}
+
+/**
+ * Migrate a project document (a parsed file or an autosaved session) to
+ * PROJECT_VERSION and decode its images.
+ *
+ * @param {Object} json
+ * @returns {Promise<{ settings: Object,
+ *                     slots: Object<string, { original: ImageBitmap|null, transform: Object,
+ *                                             frames: ImageBitmap[],
+ *                                             variants: { original: ImageBitmap, weight: number }[] }>,
+ *                     tilemap: Object|null }>}
+ *          frames include the first one (original) for animated slots and are empty otherwise
+ */
+export async function decodeProject(json) {
+  const project = migrateProject(json);
+
+  const slots = {};
+  for (const [slot, entry] of Object.entries(project.slots ?? {})) {
+    const original = entry.image ? await fromPNG(entry.image) : null;
+    const frames   = await Promise.all((entry.frames ?? []).map(fromPNG));
+    const variants = await Promise.all((entry.variants ?? []).map(async v => ({
+      original: await fromPNG(v.image),
+      weight:   v.weight > 0 ? v.weight : 1,
+    })));
+    slots[slot] = {
+      original,
+      transform: {
+        rotation: [0, 90, 180, 270].includes(entry.transform?.rotation) ? entry.transform.rotation : 0,
+        flipX:    !!entry.transform?.flipX,
+        flipY:    !!entry.transform?.flipY,
+      },
+      frames:    original && frames.length ? [original, ...frames] : [],
+      variants,
+    };
+  }
+
+  return { settings: project.settings ?? {}, slots, tilemap: project.tilemap ?? null };
+}
+
+/**
+ * Bring a parsed project document up to PROJECT_VERSION.
+ * @param {Object} json
+ * @returns {Object}
+ */
+export function migrateProject(json) {
+  if (json?.format !== 'bacon') throw new Error('Not a BaconTileSetter project');
+  if (!Number.isInteger(json.version) || json.version < 1) throw new Error('Project has no valid version');
+  if (json.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${json.version} is newer than this app (${PROJECT_VERSION})`);
+  }
+
+  let project = json;
+  while (project.version < PROJECT_VERSION) {
+    const step = MIGRATIONS[project.version];
+    if (!step) throw new Error(`No migration from project version ${project.version}`);
+    project = { ...step(project), version: project.version + 1 };
+  }
+  return project;
+}
+
+/**
+ * Copy saved settings into `state`.  A value only replaces the current one when
+ * it has the same type and passes its SETTING_RULES entry — a hand-edited
+ * file cannot ask for a 0 or 100000 px tile or an unknown algorithm; such
+ * values keep the app's current ones.  A saved layout template must still pass
+ * parseLayoutTemplate(), otherwise the sheet falls back to mask order.
+ *
+ * @param {Object} state
+ * @param {Object} settings  decodeProject().settings
+ */
+export function applyProjectSettings(state, settings) {
+  SETTING_KEYS.forEach(key => {
+    if (!(key in settings)) return;
+    const value = settings[key];
+    if (key === 'layout') {
+      state.layout = readLayout(value);
+    } else if (key === 'blend' || key === 'padding') {
+      const merged = { ...state[key] };
+      Object.keys(merged).forEach(k => {
+        if (validSetting(SETTING_RULES[key][k], value?.[k], merged[k])) merged[k] = value[k];
+      });
+      state[key] = merged;
+    } else if (validSetting(SETTING_RULES[key], value, state[key])) {
+      state[key] = value;
+    }
+  });
+}
+
+/**
+ * A number setting's value pulled into its SETTING_RULES range and rounded
+ * for whole-number settings; `key` is a state key or 'blend.feather' style
+ * path.  NaN stays NaN.
+ * @param {string} key
+ * @param {number} value
+ * @returns {number}
+ */
+export function clampSetting(key, value) {
+  const rule = key.split('.').reduce((rules, k) => rules?.[k], SETTING_RULES);
+  if (!rule || isNaN(value)) return value;
+  const v = Math.min(rule.max, Math.max(rule.min, value));
+  return rule.int ? Math.round(v) : v;
+}
+
+/** Whether `value` may replace `current` under `rule` (see SETTING_RULES). */
+function validSetting(rule = {}, value, current) {
+  if (typeof value !== typeof current) return false;
+  if (rule.oneOf)     return rule.oneOf.includes(value);
+  if (rule.maxLength) return value.trim() !== '' && value.length <= rule.maxLength;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= rule.min && value <= rule.max && (!rule.int || Number.isInteger(value));
+  }
+  return true;
+}
+
+function readLayout(layout) {
+  if (!layout) return null;
+  try {
+    return parseLayoutTemplate(JSON.stringify(layout));
+  } catch (err) {
+    console.error('[readProject] layout', err);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Utility
+// ─────────────────────────────────────────────────────────────
+
+// Loaded images never change, so each is encoded once (autosave runs often)
+const pngCache = new WeakMap();
+
+/** PNG data URL of an image. */
+function toPNG(img) {
+  if (!pngCache.has(img)) {
+    const c = createCanvas(img.width, img.height);
+    c.getContext('2d').drawImage(img, 0, 0);
+    pngCache.set(img, c.toDataURL('image/png'));
+  }
+  return pngCache.get(img);
+}
+
+async function fromPNG(dataUrl) {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
+    throw new Error('Project image is not a data URL');
+  }
+  const blob = await (await fetch(dataUrl)).blob();
+  return createImageBitmap(blob);
+}
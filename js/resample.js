@@ -0,0 +1,215 @@
+/**
+ * resample.js — Scaling slot images to the tile size.
+ *
+ * Slot images may be any size; the compositor draws them into tiles of the
+ * current tile size.  Each mode produces a canvas of exactly w × h:
+ *
+ *   smooth   the browser's own drawImage() scaling (bilinear-ish)
+ *   nearest  nearest neighbor: every pixel copies the source pixel under its centre
+ *   integer  shrinks by whole factors only (each k × k block keeps its centre
+ *            pixel); whatever size is left over, and any enlargement, is nearest
+ *   box      area average: every pixel is the coverage-weighted mean of the
+ *            source pixels under it (premultiplied, so transparent pixels do not
+ *            darken edges)
+ *   epx      pixel-art upscaler: EPX / Scale2x doubling while the doubled image
+ *            still fits the tile, then nearest neighbor up to the exact size
+ *            (16 → 64 is two clean doublings, 16 → 48 one doubling and a
+ *            nearest 1.5×); shrinking is a plain box filter
+ *
+ * Every mode except smooth is plain pixel arithmetic, so the same input gives
+ * the same pixels in every browser.
+ */
+
+import { createCanvas } from './canvas.js';
+
+export const RESAMPLE_MODES = ['smooth', 'nearest', 'integer', 'box', 'epx'];
+
+/**
+ * Scale `src` to w × h with the given mode.
+ *
+ * @param {CanvasImageSource} src
+ * @param {number} w, h     - Target size (pixels)
+ * @param {string} mode     - One of RESAMPLE_MODES
+ * @returns {HTMLCanvasElement}
+ */
+export function resampleImage(src, w, h, mode = 'smooth') {
+  if (mode === 'smooth') {
+    const out = createCanvas(w, h);
+    out.getContext('2d').drawImage(src, 0, 0, w, h);
+    return out;
+  }
+
+  let img = readPixels(src);
+  switch (mode) {
+    case 'integer': {
+      const kx = Math.max(1, Math.floor(img.width  / w));
+      const ky = Math.max(1, Math.floor(img.height / h));
+      if (kx > 1 || ky > 1) img = decimate(img, kx, ky);
+      img = nearest(img, w, h);
+      break;
+    }
+    case 'box':
+      img = box(img, w, h);
+      break;
+    case 'epx':
+      // Double only while the result still fits, so no pass has to shrink it again
+      while (img.width * 2 <= w && img.height * 2 <= h) img = scale2x(img);
+      img = img.width > w || img.height > h ? box(img, w, h) : nearest(img, w, h);
+      break;
+    case 'nearest':
+    default:
+      img = nearest(img, w, h);
+  }
+  return writePixels(img);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Scalers — all work on { width, height, data: Uint8ClampedArray } RGBA
+// ─────────────────────────────────────────────────────────────
+
+function nearest({ width, height, data }, w, h) {
+  const out = blank(w, h);
+  for (let y = 0; y < h; y++) {
+    const sy = Math.min(height - 1, Math.floor((y + 0.5) * height / h));
+    for (let x = 0; x < w; x++) {
+      const sx = Math.min(width - 1, Math.floor((x + 0.5) * width / w));
+      copyPixel(data, (sy * width + sx) * 4, out.data, (y * w + x) * 4);
+    }
+  }
+  return out;
+}
+
+/** Keep the centre pixel of every kx × ky block. */
+function decimate({ width, height, data }, kx, ky) {
+  const w   = Math.floor(width  / kx);
+  const h   = Math.floor(height / ky);
+  const out = blank(w, h);
+  for (let y = 0; y < h; y++) {
+    const sy = y * ky + (ky >> 1);
+    for (let x = 0; x < w; x++) {
+      const sx = x * kx + (kx >> 1);
+      copyPixel(data, (sy * width + sx) * 4, out.data, (y * w + x) * 4);
+    }
+  }
+  return out;
+}
+
+/** Separable area average over premultiplied color. */
+function box({ width, height, data }, w, h) {
+  if (width === w && height === h) return { width, height, data };
+  const wx = boxWeights(width, w);
+  const wy = boxWeights(height, h);
+
+  // Premultiply, then filter rows (width → w) and columns (height → h)
+  const pre = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3] / 255;
+    pre[i] = data[i] * a; pre[i + 1] = data[i + 1] * a; pre[i + 2] = data[i + 2] * a; pre[i + 3] = data[i + 3];
+  }
+  const rows = new Float32Array(w * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < w; x++) {
+      const o = (y * w + x) * 4;
+      wx[x].forEach(([sx, f]) => {
+        const i = (y * width + sx) * 4;
+        for (let k = 0; k < 4; k++) rows[o + k] += pre[i + k] * f;
+      });
+    }
+  }
+  const out = blank(w, h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const o = (y * w + x) * 4;
+      const p = [0, 0, 0, 0];
+      wy[y].forEach(([sy, f]) => {
+        const i = (sy * w + x) * 4;
+        for (let k = 0; k < 4; k++) p[k] += rows[i + k] * f;
+      });
+      const a = p[3] / 255;
+      if (a > 0) {
+        out.data[o    ] = Math.round(p[0] / a);
+        out.data[o + 1] = Math.round(p[1] / a);
+        out.data[o + 2] = Math.round(p[2] / a);
+        out.data[o + 3] = Math.round(p[3]);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * For each of `to` target pixels, the [source index, weight] pairs of the
+ * `from` source pixels it covers; weights add up to 1.
+ */
+function boxWeights(from, to) {
+  const step = from / to;
+  return Array.from({ length: to }, (_, i) => {
+    const a = i * step;
+    const b = a + step;
+    const pairs = [];
+    for (let s = Math.floor(a); s < Math.min(from, Math.ceil(b)); s++) {
+      const cover = Math.min(b, s + 1) - Math.max(a, s);
+      if (cover > 0) pairs.push([s, cover / step]);
+    }
+    return pairs;
+  });
+}
+
+/**
+ * EPX / Scale2x: every pixel P becomes 2 × 2, and a sub-pixel takes the color
+ * of its two neighbors when they agree and the other two do not — which
+ * rounds off diagonal staircases instead of blurring them.
+ *
+ *     A        1 2
+ *   C P B  →   3 4
+ *     D
+ */
+function scale2x({ width, height, data }) {
+  const src = new Uint32Array(data.buffer, data.byteOffset, width * height);
+  const out = blank(width * 2, height * 2);
+  const dst = new Uint32Array(out.data.buffer);
+  const at  = (x, y) => src[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+  const w2  = width * 2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = at(x, y);
+      const a = at(x, y - 1), b = at(x + 1, y), c = at(x - 1, y), d = at(x, y + 1);
+      const o = y * 2 * w2 + x * 2;
+      dst[o         ] = c === a && c !== d && a !== b ? a : p;
+      dst[o + 1     ] = a === b && a !== c && b !== d ? b : p;
+      dst[o + w2    ] = d === c && d !== b && c !== a ? c : p;
+      dst[o + w2 + 1] = b === d && b !== a && d !== c ? d : p;
+    }
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Utility
+// ─────────────────────────────────────────────────────────────
+
+function blank(width, height) {
+  return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+function copyPixel(src, i, dst, o) {
+  dst[o] = src[i]; dst[o + 1] = src[i + 1]; dst[o + 2] = src[i + 2]; dst[o + 3] = src[i + 3];
+}
+
+function readPixels(src) {
+  const c   = createCanvas(src.width, src.height);
+  const ctx = c.getContext('2d');
+  ctx.drawImage(src, 0, 0);
+  const { data } = ctx.getImageData(0, 0, src.width, src.height);
+  return { width: src.width, height: src.height, data };
+}
+
+function writePixels({ width, height, data }) {
+  const c   = createCanvas(width, height);
+  const ctx = c.getContext('2d');
+  const img = ctx.createImageData(width, height);
+  img.data.set(data);
+  ctx.putImageData(img, 0, 0);
+  return c;
+}
@@ -0,0 +1,131 @@
+/**
+ * rpgmaker.js — RPG Maker MV/MZ A2 autotile conversion.
+ *
+ * An A2 autotile block is 2 × 3 tiles, i.e. a 4 × 6 grid of half-tile quarters:
+ *
+ *   row 0-1 │ [ icon tile ][ inner corners ]     icon  = isolated tile (palette only)
+ *   row 2-5 │ [ 2 × 2 tile blob            ]     inner = all four concave corners
+ *
+ * RPG Maker's floor table always samples a quarter in its natural position
+ * inside a tile (left-hand quarters from even columns, top quarters from even
+ * rows), which is exactly what composeQuadrants() does.  So a block is just:
+ *   - the isolated tile          (bm4 = 0)
+ *   - the all-inner-corner tile  (all cardinals, no diagonals)
+ *   - a 2 × 2 blob of connected tiles
+ *
+ * The importer goes the other way and rebuilds the five edge slots from the
+ * blob's edges and interior, and the eight corner slots from the blob's outer
+ * corners and the inner-corner tile, so hand-drawn corners survive the trip.
+ *
+ * A full A2 sheet holds 8 × 4 blocks (768 × 576 at the MV/MZ tile size of 48 px).
+ */
+
+import { composeQuadrants } from './tilegen.js';
+import { createCanvas } from './canvas.js';
+
+export const A2_BLOCK_COLS = 8;
+export const A2_BLOCK_ROWS = 4;
+
+// The 2 × 2 blob: [col, row, bm4, bm8] per tile, in tile units within the blob
+const BLOB_TILES = [
+  [0, 0, 0x6, 0x1C],  // TL: E + S + SE
+  [1, 0, 0xC, 0x70],  // TR: S + W + SW
+  [0, 1, 0x3, 0x07],  // BL: N + E + NE
+  [1, 1, 0x9, 0xC1],  // BR: N + W + NW
+];
+
+/**
+ * Draw one A2 block (2ts × 3ts) at (bx, by).
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} bx, by
+ * @param {number} ts      - Tile size (pixels, must be even)
+ * @param {Object} images  - { main, top, bottom, left, right, outer*, inner* }
+ * @param {Object} blend   - compositing settings, see composeQuadrants()
+ */
+export function drawA2Block(ctx, bx, by, ts, images, blend = {}) {
+  // Icon tile — isolated
+  composeQuadrants(ctx, bx, by, ts, ts, 0x0, images, 0, 'orthogonal', blend);
+  // Inner-corner tile — every cardinal present, every diagonal missing
+  composeQuadrants(ctx, bx + ts, by, ts, ts, 0xF, images, 0x55, 'orthogonal', blend);
+  // 2 × 2 blob
+  BLOB_TILES.forEach(([c, r, bm4, bm8]) => {
+    composeQuadrants(ctx, bx + c * ts, by + (1 + r) * ts, ts, ts, bm4, images, bm8, 'orthogonal', blend);
+  });
+}
+
+/**
+ * Build a full A2 sheet with the current slots in block 0.
+ * The remaining blocks are left transparent for the user's other autotiles.
+ * RPG Maker assembles autotiles from half-tile quarters, so the tile size
+ * must be even, as sliceA2Block() requires.
+ *
+ * @returns {HTMLCanvasElement}
+ */
+export function buildA2Sheet(images, tileSize, blend = {}) {
+  if (tileSize % 2) throw new Error(`RPG Maker A2 needs an even tile size (${tileSize})`);
+  const canvas = createCanvas(A2_BLOCK_COLS * 2 * tileSize, A2_BLOCK_ROWS * 3 * tileSize);
+  drawA2Block(canvas.getContext('2d'), 0, 0, tileSize, images, blend);
+  return canvas;
+}
+
+/**
+ * Slice one A2 block back into the five slot images.
+ *
+ * Accepts either a single block (2 : 3 aspect ratio) or a full A2 sheet of
+ * 8 × 4 blocks, in which case `blockIndex` (0–31, row-major) picks the block.
+ *
+ * @param {CanvasImageSource} src
+ * @param {number} blockIndex
+ * @returns {{ main, top, bottom, left, right, outer*, inner* }} canvases, one tile each
+ */
+export function sliceA2Block(src, blockIndex = 0) {
+  const single = src.width * 3 === src.height * 2;
+  const ts     = single ? src.width / 2 : src.width / (A2_BLOCK_COLS * 2);
+  if (!Number.isInteger(ts) || ts < 2 || ts % 2) {
+    throw new Error(`Not an A2 autotile image (${src.width}×${src.height})`);
+  }
+
+  const idx = single ? 0 : Math.min(Math.max(0, blockIndex), A2_BLOCK_COLS * A2_BLOCK_ROWS - 1);
+  const bx  = (idx % A2_BLOCK_COLS) * 2 * ts;
+  const by  = Math.floor(idx / A2_BLOCK_COLS) * 3 * ts;
+  const h   = ts / 2;
+
+  // Quarter (qc, qr) of the block, in half-tile units
+  const q = (qc, qr) => [bx + qc * h, by + qr * h];
+
+  // Interior quarters of the blob, by natural position
+  const IN_TL = q(2, 4), IN_TR = q(1, 4), IN_BL = q(2, 3), IN_BR = q(1, 3);
+
+  // Each slot: [TL, TR, BL, BR] source quarters.  Quarters the compositor
+  // never reads from that slot are filled with interior so the image reads
+  // as a whole tile in the upload panel.
+  const layout = {
+    main:   [IN_TL,   IN_TR,   IN_BL,   IN_BR],
+    top:    [q(2, 2), q(1, 2), IN_BL,   IN_BR],
+    bottom: [IN_TL,   IN_TR,   q(2, 5), q(1, 5)],
+    left:   [q(0, 4), IN_TR,   q(0, 3), IN_BR],
+    right:  [IN_TL,   q(3, 4), IN_BL,   q(3, 3)],
+
+    outerNW: [q(0, 2), IN_TR,   IN_BL,   IN_BR  ],
+    outerNE: [IN_TL,   q(3, 2), IN_BL,   IN_BR  ],
+    outerSW: [IN_TL,   IN_TR,   q(0, 5), IN_BR  ],
+    outerSE: [IN_TL,   IN_TR,   IN_BL,   q(3, 5)],
+
+    innerNW: [q(2, 0), IN_TR,   IN_BL,   IN_BR  ],
+    innerNE: [IN_TL,   q(3, 0), IN_BL,   IN_BR  ],
+    innerSW: [IN_TL,   IN_TR,   q(2, 1), IN_BR  ],
+    innerSE: [IN_TL,   IN_TR,   IN_BL,   q(3, 1)],
+  };
+
+  const out = {};
+  for (const [slot, quarters] of Object.entries(layout)) {
+    const c   = createCanvas(ts, ts);
+    const ctx = c.getContext('2d');
+    quarters.forEach(([sx, sy], i) => {
+      ctx.drawImage(src, sx, sy, h, h, (i % 2) * h, Math.floor(i / 2) * h, h, h);
+    });
+    out[slot] = c;
+  }
+  return out;
+}
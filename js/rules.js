@@ -0,0 +1,185 @@
+/**
+ * rules.js — Neighbor rules shared by the rule-based exporters.
+ *
+ * Every tile descriptor from tilegen.js is turned into a 3×3 neighbor pattern
+ * in the order [NW, N, NE, W, E, SW, S, SE] (the centre is always "this").
+ * Unity's RuleTile and LDtk's auto-layer rules are both written from it.
+ *
+ *   0            = don't care
+ *   NBR_THIS     = neighbor must be the same terrain
+ *   NBR_NOTTHIS  = neighbor must NOT be the same terrain
+ *
+ * The values match Unity's RuleTile.TilingRuleOutput.Neighbor constants
+ * (confirmed from a working rule.asset).
+ */
+
+import { isCornerSet, isHexSet, hexTop } from './tilegen.js';
+
+export const NBR_THIS    = 1;  // same tile type
+export const NBR_NOTTHIS = 2;  // different tile type
+
+// Formats that pick uniformly from a list (RuleTile Random output, LDtk rule
+// rects) get weights by repeating entries; this caps how often one is repeated
+const MAX_WEIGHT_REPEAT = 8;
+
+// Hex side (bitmask6 bit order) → index in [NW, N, NE, W, E, SW, S, SE], y up.
+// Pointy-top rows: NE/NW sit at (0, 1)/(-1, 1), SE/SW at (0, -1)/(-1, -1).
+// Flat-top swaps x and y: N/S sit at (1, 0)/(-1, 0).
+const HEX_NEIGHBOR_SLOTS = {
+  pointy: [1, 4, 6, 5, 3, 0],  // NE, E, SE, SW, W, NW
+  flat:   [4, 1, 0, 3, 5, 6],  // N, NE, SE, S, SW, NW
+};
+
+/**
+ * 3×3 neighbor pattern for one tile, without the centre cell.
+ *
+ * For 16-tile: cardinals only (diagonals = 0/don't care)
+ * For 47-tile: all 8; diagonal = This if set, NotThis if inner-corner, else don't care
+ * For 256-tile: all 8 fully specified; every bit = This if set, else NotThis
+ * For Wang:    each set corner requires its two cardinals + diagonal = This; the
+ *              rest are don't care (relies on the order from ruleOrder)
+ * For dual:    same corner rules — rule engines have no offset layer, so painting
+ *              the tile behaves like a Wang set; a dual-grid script can still pick
+ *              sprites by corner mask from the exported spritesheet
+ * For hex:     all 6 sides fully specified, placed in offset coordinates as seen
+ *              from an even row (pointy-top) or column (flat-top, transposed);
+ *              the two 3×3 cells that are not hex neighbors are don't care
+ *
+ * @returns {number[]} [NW, N, NE, W, E, SW, S, SE]
+ */
+export function ruleNeighbors(tile, algorithm) {
+  let nbrValues;  // [NW, N, NE, W, E, SW, S, SE]; 0 = don't care
+
+  if (isHexSet(algorithm)) {
+    const b = tile.bitmask6 !== undefined ? tile.bitmask6 : 0;
+    nbrValues = new Array(8).fill(0);
+    HEX_NEIGHBOR_SLOTS[hexTop(algorithm)].forEach((k, side) => {
+      nbrValues[k] = (b & (1 << side)) ? NBR_THIS : NBR_NOTTHIS;
+    });
+  } else if (isCornerSet(algorithm)) {
+    // Corner mask: bit0=NE, bit1=SE, bit2=SW, bit3=NW
+    const c = tile.corners !== undefined ? tile.corners : 0;
+    nbrValues = new Array(8).fill(0);
+    const need = (...slots) => slots.forEach(k => { nbrValues[k] = NBR_THIS; });
+    if (c & 0x1) need(1, 2, 4);  // NE: N, NE, E
+    if (c & 0x2) need(4, 7, 6);  // SE: E, SE, S
+    if (c & 0x4) need(6, 5, 3);  // SW: S, SW, W
+    if (c & 0x8) need(3, 0, 1);  // NW: W, NW, N
+  } else if (algorithm === '256') {
+    // Raw 8-bit bitmask in [NW, N, NE, W, E, SW, S, SE] order
+    const b = tile.bitmask8 !== undefined ? tile.bitmask8 : 0;
+    nbrValues = [0x80, 0x01, 0x02, 0x40, 0x04, 0x20, 0x10, 0x08]
+      .map(bit => (b & bit) ? NBR_THIS : NBR_NOTTHIS);
+  } else if (algorithm === '47') {
+    const b     = tile.bitmask8 !== undefined ? tile.bitmask8 : 0;
+    const hasN  = !!(b & 0x01);
+    const hasNE = !!(b & 0x02);
+    const hasE  = !!(b & 0x04);
+    const hasSE = !!(b & 0x08);
+    const hasS  = !!(b & 0x10);
+    const hasSW = !!(b & 0x20);
+    const hasW  = !!(b & 0x40);
+    const hasNW = !!(b & 0x80);
+
+    // Diagonal: This if present; NotThis only when both adjacent cardinals present (inner corner); else don't care
+    const nw = hasNW ? NBR_THIS : (hasN && hasW ? NBR_NOTTHIS : 0);
+    const ne = hasNE ? NBR_THIS : (hasN && hasE ? NBR_NOTTHIS : 0);
+    const sw = hasSW ? NBR_THIS : (hasS && hasW ? NBR_NOTTHIS : 0);
+    const se = hasSE ? NBR_THIS : (hasS && hasE ? NBR_NOTTHIS : 0);
+
+    nbrValues = [
+      nw,
+      hasN ? NBR_THIS : NBR_NOTTHIS,
+      ne,
+      hasW ? NBR_THIS : NBR_NOTTHIS,
+      hasE ? NBR_THIS : NBR_NOTTHIS,
+      sw,
+      hasS ? NBR_THIS : NBR_NOTTHIS,
+      se,
+    ];
+  } else {
+    // 16-tile: 4-bit cardinal bitmask (bit0=N, bit1=E, bit2=S, bit3=W)
+    const b    = tile.bitmask !== undefined ? tile.bitmask : 0;
+    const hasN = !!(b & 0x1);
+    const hasE = !!(b & 0x2);
+    const hasS = !!(b & 0x4);
+    const hasW = !!(b & 0x8);
+
+    nbrValues = [
+      0,                             // NW: don't care
+      hasN ? NBR_THIS : NBR_NOTTHIS, // N
+      0,                             // NE: don't care
+      hasW ? NBR_THIS : NBR_NOTTHIS, // W
+      hasE ? NBR_THIS : NBR_NOTTHIS, // E
+      0,                             // SW: don't care
+      hasS ? NBR_THIS : NBR_NOTTHIS, // S
+      0,                             // SE: don't care
+    ];
+  }
+
+  return nbrValues;
+}
+
+/**
+ * Indices into `tiles` in the order the rules must be evaluated.
+ * Both engines stop at the first matching rule.  Corner rules only constrain
+ * their set corners, so they must run from most to fewest corners to stay
+ * unambiguous; every other set is exact and keeps sheet order.
+ * Only isRuleTile() tiles get a rule; variants and animation frames ride on
+ * their base tile's rule (see tileVariants(), tileFrames()).
+ *
+ * @returns {number[]}
+ */
+export function ruleOrder(tiles, algorithm) {
+  const order = tiles.map((_, i) => i).filter(i => isRuleTile(tiles[i]));
+  if (isCornerSet(algorithm)) {
+    order.sort((a, z) => countBits(tiles[z].corners) - countBits(tiles[a].corners));
+  }
+  return order;
+}
+
+/**
+ * True for the tiles of the generated set itself — not the appended
+ * background-terrain tile, a variant or a later animation frame.
+ */
+export function isRuleTile(tile) {
+  return !tile.background && tile.variantOf === undefined && tile.frameOf === undefined;
+}
+
+/**
+ * Indices of the variant tiles generated for base tile `index`.
+ * @returns {number[]}
+ */
+export function tileVariants(tiles, index) {
+  return tiles.map((_, i) => i).filter(i => tiles[i].variantOf === index);
+}
+
+/**
+ * Values repeated in proportion to their weight, lightest = once.
+ * @param {{ value: *, weight: number }[]} entries
+ * @returns {Array}
+ */
+export function weightedRepeat(entries) {
+  const min = Math.min(...entries.map(e => e.weight));
+  return entries.flatMap(({ value, weight }) => {
+    const count = Math.min(MAX_WEIGHT_REPEAT, Math.max(1, Math.round(weight / min)));
+    return new Array(count).fill(value);
+  });
+}
+
+/**
+ * Indices of the animation frames 1… of tile `index`, in frame order.
+ * @returns {number[]}
+ */
+export function tileFrames(tiles, index) {
+  return tiles.map((_, i) => i)
+    .filter(i => tiles[i].frameOf === index)
+    .sort((a, z) => tiles[a].frame - tiles[z].frame);
+}
+
+/** Number of set bits in a small bitmask. */
+function countBits(n) {
+  let c = 0;
+  for (; n; n &= n - 1) c++;
+  return c;
+}
@@ -0,0 +1,131 @@
+/**
+ * session.js — Autosaved sessions in IndexedDB.
+ *
+ * Every autosave stores a project document (buildProject() in project.js) as
+ * one record of the "sessions" store:
+ *
+ *   { id: 17, kind: 'auto', savedAt: 1760000000000, project: { format: 'bacon', … } }
+ *
+ * ids grow with every save, and only the newest SESSION_RING autosaves are
+ * kept, so the ring holds the last few states of the workspace.  A save equal
+ * to the newest autosave is skipped.
+ *
+ * Autosave runs after every change, so a handful of edits after an accident
+ * would push the state before it out of that ring.  Destructive actions
+ * (clearing the tilemap, opening a project, replacing an image …) therefore
+ * first store a checkpoint — { kind: 'checkpoint', reason: 'clear', … } —
+ * which autosaves never evict; the newest CHECKPOINT_RING of them are kept.
+ *
+ * Every function resolves quietly to nothing when IndexedDB is unavailable
+ * (private windows, file:// pages in some browsers).
+ */
+
+const DB_NAME    = 'bts-sessions';
+const DB_VERSION = 1;
+const STORE      = 'sessions';
+
+export const SESSION_RING    = 8;
+export const CHECKPOINT_RING = 4;
+
+let _db   = null;
+const _last = {};   // kind → JSON text of its newest record, for skipping repeats
+
+// ─────────────────────────────────────────────────────────────
+// Public
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Store a project document as the newest autosave and drop the oldest ones
+ * beyond SESSION_RING.
+ * @param {Object} project
+ * @returns {Promise<void>}
+ */
+export function saveSession(project) {
+  return addRecord({ kind: 'auto', project }, SESSION_RING);
+}
+
+/**
+ * Store the workspace as it was before a destructive action, out of reach of
+ * the autosave ring; only the oldest checkpoints beyond CHECKPOINT_RING go.
+ * @param {Object} project
+ * @param {string} reason  what is about to happen: 'clear', 'fill', 'open', 'restore', 'replace'
+ * @returns {Promise<void>}
+ */
+export function saveCheckpoint(project, reason) {
+  return addRecord({ kind: 'checkpoint', reason, project }, CHECKPOINT_RING);
+}
+
+/**
+ * Every stored session, autosaves and checkpoints, newest first.
+ * @returns {Promise<{ id: number, kind: string, reason?: string, savedAt: number, project: Object }[]>}
+ */
+export async function listSessions() {
+  const db = await openDB();
+  if (!db) return [];
+  const tx = db.transaction(STORE, 'readonly');
+  const sessions = await request(tx.objectStore(STORE).getAll());
+  return sessions.reverse();
+}
+
+/** Add `record` unless it repeats the newest of its kind, then trim that kind to `ring`. */
+async function addRecord(record, ring) {
+  const db = await openDB();
+  if (!db) return;
+
+  const { kind } = record;
+  const text = JSON.stringify(record.project);
+  if (!(kind in _last)) _last[kind] = JSON.stringify((await newest(db, kind))?.project ?? null);
+  if (text === _last[kind]) return;
+  _last[kind] = text;
+
+  const tx    = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  store.add({ ...record, savedAt: Date.now() });
+  const keys = await request(store.index('kind').getAllKeys(IDBKeyRange.only(kind)));
+  keys.slice(0, Math.max(0, keys.length - ring)).forEach(id => store.delete(id));
+  await done(tx);
+}
+
+/** Newest record of `kind`, or undefined. */
+async function newest(db, kind) {
+  const tx     = db.transaction(STORE, 'readonly');
+  const cursor = await request(tx.objectStore(STORE).index('kind').openCursor(IDBKeyRange.only(kind), 'prev'));
+  return cursor?.value;
+}
+
+// ─────────────────────────────────────────────────────────────
+// IndexedDB plumbing
+// ─────────────────────────────────────────────────────────────
+
+async function openDB() {
+  if (_db) return _db;
+  if (typeof indexedDB === 'undefined') return null;
+  try {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true }).createIndex('kind', 'kind');
+    };
+    _db = await request(req);
+  } catch (err) {
+    console.warn('[session] IndexedDB unavailable, autosave is off.', err);
+    _db = null;
+  }
+  return _db;
+}
+
+/** Promise for an IDBRequest's result. */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/** Promise for a transaction's completion. */
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * tiled.js — Tiled (.tsx) tileset builder with a Wang set.
+ *
+ * Tiled wang IDs list 8 colors clockwise from the top edge:
+ *   top, top-right, right, bottom-right, bottom, bottom-left, left, top-left
+ * which is exactly the bit order of the 8-bit bitmask in tilegen.js, so the
+ * 47/256-tile descriptors map bit i → wang ID slot i.
+ *
+ *   16-tile        → edge set    (bitmask, bit0=N … bit3=W)
+ *   47 / 256-tile  → mixed set   (bitmask8, corners + edges)
+ *   Wang / dual    → corner set  (corners, bit0=NE clockwise)
+ *   Hex            → edge set    (bitmask6, each side on its nearest slot)
+ *
+ * Color 1 is the terrain; 0 means "no terrain".
+ *
+ * Isometric sets add an isometric <grid>; Tiled's isometric maps put y − 1 on
+ * a tile's upper-right side, which is grid north here too, so wang IDs are
+ * the same in both orientations.
+ *
+ * Hex sets need no <grid>: the hexagonal orientation is a map setting.  Maps
+ * with stagger axis y (pointy-top) or x (flat-top) and stagger index odd
+ * match the tilemap here.  Hex wang IDs use the same 8 slots, leaving out the
+ * two that are not hex sides (HEX_WANG_SLOTS).
+ *
+ * Animated sets list only the first block's tiles in the Wang set; each of
+ * those tiles carries an <animation> running through its frame blocks.
+ */
+
+import { isCornerSet, isHexSet, hexTop, sheetLayout, tileCell, sheetCells } from './tilegen.js';
+import { tileFrames } from './rules.js';
+
+const TERRAIN_COLOR = '#f97316';
+
+// Wang ID slot of each hex side, in bitmask6 bit order
+const HEX_WANG_SLOTS = {
+  pointy: [1, 2, 3, 5, 6, 7],  // NE, E, SE, SW, W, NW
+  flat:   [0, 1, 3, 4, 5, 7],  // N, NE, SE, S, SW, NW
+};
+
+/** Tiled wang set type for a given algorithm. */
+export function tiledWangSetType(algorithm) {
+  if (isCornerSet(algorithm)) return 'corner';
+  if (algorithm === '47' || algorithm === '256') return 'mixed';
+  return 'edge';
+}
+
+/**
+ * The 8-slot wang ID for one tile (values 0 or 1).
+ * @returns {number[]}
+ */
+export function tiledWangId(tile, algorithm) {
+  const id = new Array(8).fill(0);
+  if (isHexSet(algorithm)) {
+    const b = tile.bitmask6 ?? 0;
+    HEX_WANG_SLOTS[hexTop(algorithm)].forEach((slot, side) => { if (b & (1 << side)) id[slot] = 1; });
+  } else if (isCornerSet(algorithm)) {
+    const c = tile.corners ?? 0;
+    if (c & 0x1) id[1] = 1;  // top-right
+    if (c & 0x2) id[3] = 1;  // bottom-right
+    if (c & 0x4) id[5] = 1;  // bottom-left
+    if (c & 0x8) id[7] = 1;  // top-left
+  } else if (algorithm === '47' || algorithm === '256') {
+    const b = tile.bitmask8 ?? 0;
+    for (let i = 0; i < 8; i++) if (b & (1 << i)) id[i] = 1;
+  } else {
+    const b = tile.bitmask ?? tile.bitmask4 ?? 0;
+    if (b & 0x1) id[0] = 1;  // top
+    if (b & 0x2) id[2] = 1;  // right
+    if (b & 0x4) id[4] = 1;  // bottom
+    if (b & 0x8) id[6] = 1;  // left
+  }
+  return id;
+}
+
+/**
+ * Build the .tsx XML for the generated spritesheet.
+ *
+ * @param {TileDescriptor[]} tiles
+ * @param {{ width: number, height: number }} tileSize
+ * @param {number}           imageW, imageH  spritesheet size in pixels
+ * @param {string}           algorithm
+ * @param {string}           imagePath       PNG path relative to the .tsx
+ * @param {string}           name
+ * @param {Object}           options
+ * @param {number}           options.animationSpeed  frames per second of animated tiles
+ * @param {Object}           options.layout          sheet margin / spacing, see sheetLayout()
+ * @param {string}           options.orientation     'orthogonal', 'isometric' or 'hexagonal'
+ * @returns {string}
+ */
+export function buildTiledTileset(tiles, tileSize, imageW, imageH, algorithm, imagePath, name,
+                                  { animationSpeed = 1, layout = sheetLayout(), orientation = 'orthogonal' } = {}) {
+  const columns = sheetCells(imageW, tileSize.width,  layout);
+  const rows    = sheetCells(imageH, tileSize.height, layout);
+  const label   = escapeXml(name);
+  const tileId  = tile => {
+    const { col, row } = tileCell(tile, tileSize, layout);
+    return row * columns + col;
+  };
+
+  // The appended background-terrain tile is plain and frame tiles play through
+  // their first-block tile, so both stay out of the Wang set
+  const wangTiles = tiles.filter(tile => !tile.background && tile.frameOf === undefined).map(tile =>
+    `   <wangtile tileid="${tileId(tile)}" wangid="${tiledWangId(tile, algorithm).join(',')}"/>`);
+
+  const duration  = Math.round(1000 / animationSpeed);
+  const animTiles = tiles.flatMap((tile, i) => {
+    const frames = tileFrames(tiles, i);
+    if (!frames.length) return [];
+    return [
+      ` <tile id="${tileId(tile)}">`,
+      `  <animation>`,
+      ...[i, ...frames].map(f => `   <frame tileid="${tileId(tiles[f])}" duration="${duration}"/>`),
+      `  </animation>`,
+      ` </tile>`,
+    ];
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<tileset version="1.10" tiledversion="1.10.2" name="${label}" tilewidth="${tileSize.width}" tileheight="${tileSize.height}" spacing="${layout.spacing}" margin="${layout.margin}" tilecount="${columns * rows}" columns="${columns}">`,
+    ...(orientation === 'isometric'
+      ? [` <grid orientation="isometric" width="${tileSize.width}" height="${tileSize.height}"/>`] : []),
+    ` <image source="${escapeXml(imagePath)}" width="${imageW}" height="${imageH}"/>`,
+    ...animTiles,
+    ` <wangsets>`,
+    `  <wangset name="${label}" type="${tiledWangSetType(algorithm)}" tile="-1">`,
+    `   <wangcolor name="${label}" color="${TERRAIN_COLOR}" tile="-1" probability="1"/>`,
+    ...wangTiles,
+    `  </wangset>`,
+    ` </wangsets>`,
+    `</tileset>`,
+    ``,
+  ].join('\n');
+}
+
+function escapeXml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
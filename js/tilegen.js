@@ -6,7 +6,9 @@
  * ─────────────────────────────────────────────────────────────
  * All algorithms use composeQuadrants() as their drawing primitive.
  *
- * The tile is divided into 4 equal quadrants (TL, TR, BL, BR).
+ * The tile is divided into 4 quadrants (TL, TR, BL, BR).  Tiles may be
+ * rectangular and odd-sized: each dimension splits at floor(size / 2), so an
+ * odd size gives its extra pixel to the right / bottom quadrants (splitHalf()).
  * Each quadrant selects a source image and a source region:
  *
  *   Bitmask encodes 4-bit cardinal neighbors (bit 0=N, 1=E, 2=S, 3=W):
@@ -19,6 +21,36 @@
  *
  *   TR, BL, BR follow the same logic with their respective neighbors.
  *
+ *   With a background terrain (imgs.background) the exposed side of every
+ *   edge and corner quadrant shows that terrain instead of transparency; see
+ *   drawTransitionQuadrant().
+ *
+ *   Corners are synthesized from the edge images unless a dedicated corner
+ *   slot is uploaded (outerNW … outerSE, innerNW … innerSE).  A corner slot is
+ *   a whole tile; only its quarter on that corner (outerNW → TL quarter) is
+ *   sampled, exactly like the edge images.
+ *
+ *   Isometric orientation: every image is a diamond inscribed in its tw × th
+ *   cell, with grid north on the upper-right side (east lower-right, south
+ *   lower-left, west upper-left).  The quadrants become the four half-size
+ *   diamonds around the vertices — TL (NW) at the top, TR (NE) on the right,
+ *   BL (SW) on the left, BR (SE) at the bottom — and each pixel belongs to
+ *   exactly one of them (diamondQuarter()), so quarters never overlap or
+ *   leave seams.  The selection logic above is unchanged.
+ *
+ *   Inner corners without an innerXX slot merge the two edge images with
+ *   the strategy in blend.innerCorner (INNER_CORNER_STRATEGIES).
+ *
+ *   Feathered blending (blend.feather > 0): instead of switching images hard
+ *   at the quadrant boundaries, every quadrant is drawn over the whole tile
+ *   and the four results are cross-faded over `feather` pixels around the
+ *   centre lines (drawQuadrants()).  Hex wedges cross-fade the same way.
+ *
+ *   Resampling (blend.resample): slot images of another size than the tile
+ *   are scaled to it first with the chosen RESAMPLE_MODES scaler (fitImages()),
+ *   so every quadrant and wedge is then drawn 1:1.  'smooth' (the default)
+ *   leaves the scaling to drawImage().
+ *
  * ─────────────────────────────────────────────────────────────
  * 16-TILE ALGORITHM
  * ─────────────────────────────────────────────────────────────
@@ -42,8 +74,60 @@
  *
  * Each tile is composited using the quadrant logic on cardinal neighbors only.
  *
+ * ─────────────────────────────────────────────────────────────
+ * 256-TILE ALGORITHM (raw blob)
+ * ─────────────────────────────────────────────────────────────
+ * Same 8-bit bitmask as 47-tile, but NOT normalized: every raw neighborhood
+ * keeps its own tile, so diagonal-only detail (corner pebbles, cracks) can be
+ * painted per variant.  No slot image draws a diagonal without both of its
+ * cardinals, so masks that differ only in such diagonals compose identically
+ * (the UI says so next to the algorithm); the extra tiles exist so the sheet
+ * can be touched up by hand and still be picked by the RuleTile.
+ * Spritesheet layout: 16 columns × 16 rows (tile i at row i>>4, col i&15).
+ *
+ * ─────────────────────────────────────────────────────────────
+ * WANG 2-CORNER ALGORITHM
+ * ─────────────────────────────────────────────────────────────
+ * Corner mask: 4 bits → 16 combinations, one bit per tile vertex
+ *   bit 0 (0x1) = NE corner is terrain
+ *   bit 1 (0x2) = SE corner is terrain
+ *   bit 2 (0x4) = SW corner is terrain
+ *   bit 3 (0x8) = NW corner is terrain
+ *
+ * Each quadrant belongs to the terrain "cell" centred on its vertex, so the
+ * TL quadrant is the bottom-right quarter of the NW cell (exposed towards the
+ * NE and SW corners, inner corner across SE).  Unset corners stay transparent.
+ *
+ * Spritesheet layout: 4 columns × 4 rows (tile i at row i>>2, col i&3)
+ *
+ * ─────────────────────────────────────────────────────────────
+ * DUAL-GRID ALGORITHM
+ * ─────────────────────────────────────────────────────────────
+ * World data lives on one grid; the visible tiles sit on a second grid offset
+ * by half a tile, so every display tile straddles four world cells.  Its four
+ * corners are simply those cells, which makes the set the same 16 corner tiles
+ * as Wang 2-corner — only how the tilemap places them differs.
+ *
+ * ─────────────────────────────────────────────────────────────
+ * HEX ALGORITHM (pointy-top / flat-top)
+ * ─────────────────────────────────────────────────────────────
+ * Bitmask: 6 bits, one per side, clockwise from the top
+ *   pointy-top ('hex-pointy')  bit0=NE, bit1=E,  bit2=SE, bit3=SW, bit4=W,  bit5=NW
+ *   flat-top   ('hex-flat')    bit0=N,  bit1=NE, bit2=SE, bit3=S,  bit4=SW, bit5=NW
+ *
+ * The hex is inscribed in its tile, and composeHex() splits it into six
+ * wedges from the centre to each side: connected sides show the main image,
+ * open sides that side's edge image.  Cardinal sides read top / bottom /
+ * left / right; diagonal sides read hexNE … hexNW and fall back to the
+ * nearer cardinal edge when that slot is empty.
+ *
+ * Spritesheet layout: 8 columns × 8 rows (tile i at row i>>3, col i&7)
+ *
  */
 
+import { resampleImage } from './resample.js';
+import { createCanvas } from './canvas.js';
+
 // ─────────────────────────────────────────────────────────────
 // Shared: Quadrant compositor
 // ─────────────────────────────────────────────────────────────
@@ -55,15 +139,18 @@
  * @param {CanvasRenderingContext2D} ctx  - Target context
  * @param {number} tx   - Tile X in context (pixels)
  * @param {number} ty   - Tile Y in context (pixels)
- * @param {number} ts   - Tile size (pixels, must be even)
+ * @param {number} tw   - Tile width (pixels)
+ * @param {number} th   - Tile height (pixels)
  * @param {number} bm4  - 4-bit bitmask: bit0=N, bit1=E, bit2=S, bit3=W
- * @param {Object} imgs - { main, top, bottom, left, right } ImageBitmap or null
+ * @param {Object} imgs - { main, top, bottom, left, right, outer*, inner*, background } or null
  * @param {number} bm8  - 8-bit bitmask (47-tile only); enables inner-corner rendering
  *                        when both adjacent cardinals are set but the diagonal is not.
  *                        Pass 0 (default) to disable inner-corner rendering (16-tile).
+ * @param {string} orientation - 'orthogonal' (default) or 'isometric' (diamond tiles)
+ * @param {Object} blend - { feather, innerCorner, resample } compositing settings; see drawQuadrants()
  */
-export function composeQuadrants(ctx, tx, ty, ts, bm4, imgs, bm8 = 0) {
-  const qs = ts / 2;
+export function composeQuadrants(ctx, tx, ty, tw, th, bm4, imgs, bm8 = 0, orientation = 'orthogonal', blend = {}) {
+  imgs = fitImages(imgs, tw, th, blend.resample);
   const hasN = !!(bm4 & 0x1);
   const hasE = !!(bm4 & 0x2);
   const hasS = !!(bm4 & 0x4);
@@ -76,14 +163,240 @@ export function composeQuadrants(ctx, tx, ty, ts, bm4, imgs, bm8 = 0) {
   const hasSE = !!(bm8 & 0x08);
   const hasSW = !!(bm8 & 0x20);
 
-  // TL quadrant: inner corner only in 47-tile (bm8≠0) when N&&W but !NW
-  drawQuadrant(ctx, tx,      ty,      qs, 0, 0, hasN, hasW, imgs.main, imgs.top,    imgs.left,   !!bm8 && hasN && hasW && !hasNW);
-  // TR quadrant: inner corner only in 47-tile (bm8≠0) when N&&E but !NE
-  drawQuadrant(ctx, tx + qs, ty,      qs, 1, 0, hasN, hasE, imgs.main, imgs.top,    imgs.right,  !!bm8 && hasN && hasE && !hasNE);
-  // BL quadrant: inner corner only in 47-tile (bm8≠0) when S&&W but !SW
-  drawQuadrant(ctx, tx,      ty + qs, qs, 0, 1, hasS, hasW, imgs.main, imgs.bottom, imgs.left,   !!bm8 && hasS && hasW && !hasSW);
-  // BR quadrant: inner corner only in 47-tile (bm8≠0) when S&&E but !SE
-  drawQuadrant(ctx, tx + qs, ty + qs, qs, 1, 1, hasS, hasE, imgs.main, imgs.bottom, imgs.right,  !!bm8 && hasS && hasE && !hasSE);
+  // Per quadrant, TL TR BL BR: [hasVert, hasHoriz, innerCorner, sources]
+  const quadrants = [
+    // TL quadrant: inner corner only in 47-tile (bm8≠0) when N&&W but !NW
+    [hasN, hasW, !!bm8 && hasN && hasW && !hasNW, quadrantSources(imgs, 'top',    'left',  'NW')],
+    // TR quadrant: inner corner only in 47-tile (bm8≠0) when N&&E but !NE
+    [hasN, hasE, !!bm8 && hasN && hasE && !hasNE, quadrantSources(imgs, 'top',    'right', 'NE')],
+    // BL quadrant: inner corner only in 47-tile (bm8≠0) when S&&W but !SW
+    [hasS, hasW, !!bm8 && hasS && hasW && !hasSW, quadrantSources(imgs, 'bottom', 'left',  'SW')],
+    // BR quadrant: inner corner only in 47-tile (bm8≠0) when S&&E but !SE
+    [hasS, hasE, !!bm8 && hasS && hasE && !hasSE, quadrantSources(imgs, 'bottom', 'right', 'SE')],
+  ];
+  drawQuadrants(ctx, tx, ty, tw, th, orientation, blend, (c, rect, qcol, qrow) => {
+    drawQuadrant(c, rect, qcol, qrow, ...quadrants[qrow * 2 + qcol], blend.innerCorner);
+  });
+}
+
+/**
+ * Draw one Wang 2-corner tile.  Each set corner fills the quadrant touching
+ * that vertex; the quadrant is sampled from the opposite quarter of the source
+ * images because it is the inward-facing part of the terrain cell on the corner.
+ * Unset corners stay transparent, or show the background terrain when one is set.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} tx, ty   - Tile position in context (pixels)
+ * @param {number} tw, th   - Tile width and height (pixels)
+ * @param {number} corners  - 4-bit corner mask: bit0=NE, bit1=SE, bit2=SW, bit3=NW
+ * @param {Object} imgs     - { main, top, bottom, left, right, outer*, inner*, background }
+ * @param {string} orientation - 'orthogonal' (default) or 'isometric' (diamond tiles)
+ * @param {Object} blend - { feather, innerCorner, resample } compositing settings; see drawQuadrants()
+ */
+export function composeCorners(ctx, tx, ty, tw, th, corners, imgs, orientation = 'orthogonal', blend = {}) {
+  imgs = fitImages(imgs, tw, th, blend.resample);
+  const hasNE = !!(corners & 0x1);
+  const hasSE = !!(corners & 0x2);
+  const hasSW = !!(corners & 0x4);
+  const hasNW = !!(corners & 0x8);
+  const bg    = imgs.background;
+
+  // Per quadrant, TL TR BL BR: [corner set, source qcol, source qrow, hasVert, hasHoriz, innerCorner, sources]
+  const quadrants = [
+    // TL quadrant: bottom-right of the NW cell — neighbors S=SW, E=NE, diagonal SE
+    [hasNW, 1, 1, hasSW, hasNE, hasSW && hasNE && !hasSE, quadrantSources(imgs, 'bottom', 'right', 'SE')],
+    // TR quadrant: bottom-left of the NE cell — neighbors S=SE, W=NW, diagonal SW
+    [hasNE, 0, 1, hasSE, hasNW, hasSE && hasNW && !hasSW, quadrantSources(imgs, 'bottom', 'left',  'SW')],
+    // BL quadrant: top-right of the SW cell — neighbors N=NW, E=SE, diagonal NE
+    [hasSW, 1, 0, hasNW, hasSE, hasNW && hasSE && !hasNE, quadrantSources(imgs, 'top',    'right', 'NE')],
+    // BR quadrant: top-left of the SE cell — neighbors N=NE, W=SW, diagonal NW
+    [hasSE, 0, 0, hasNE, hasSW, hasNE && hasSW && !hasNW, quadrantSources(imgs, 'top',    'left',  'NW')],
+  ];
+  drawQuadrants(ctx, tx, ty, tw, th, orientation, blend, (c, rect, qcol, qrow) => {
+    const [set, ...args] = quadrants[qrow * 2 + qcol];
+    if (set) drawQuadrant(c, rect, ...args, blend.innerCorner);
+    else if (bg) blitQuadrant(c, rect, qcol, qrow, bg);
+  });
+}
+
+const QUADRANTS = [[0, 0], [1, 0], [0, 1], [1, 1]];  // [qcol, qrow], TL TR BL BR
+
+const fitted = new WeakMap();  // source image → Map(`w×h/mode` → canvas)
+
+/**
+ * `img` scaled to tw × th with resample mode `mode` (RESAMPLE_MODES), cached
+ * per source image.  'smooth' and images already at the tile size come back
+ * unchanged.
+ */
+export function fitImage(img, tw, th, mode = 'smooth') {
+  if (!img || mode === 'smooth' || (img.width === tw && img.height === th)) return img;
+  if (!fitted.has(img)) fitted.set(img, new Map());
+  const sizes = fitted.get(img);
+  const key   = `${tw}×${th}/${mode}`;
+  if (!sizes.has(key)) sizes.set(key, resampleImage(img, tw, th, mode));
+  return sizes.get(key);
+}
+
+/** fitImage() over every slot image of `imgs`. */
+export function fitImages(imgs, tw, th, mode = 'smooth') {
+  if (!imgs || mode === 'smooth') return imgs;
+  return Object.fromEntries(Object.entries(imgs).map(([slot, img]) => [slot, fitImage(img, tw, th, mode)]));
+}
+
+/**
+ * Run `draw(ctx, rect, qcol, qrow)` once per destination quadrant.
+ *
+ * Hard blending (no blend.feather) hands each call its quadrantRect().
+ * Feathered blending draws every quadrant over the whole tile into a layer of
+ * its own (a layer rect, see blitLayer()), weights the layers with
+ * featherMask() and adds them up, so neighboring quadrants cross-fade over
+ * `feather` pixels around the centre lines.  Everything is plain masking and
+ * compositing — no randomness — so previews and exports match pixel for pixel.
+ */
+function drawQuadrants(ctx, tx, ty, tw, th, orientation, blend, draw) {
+  const feather = blend.feather ?? 0;
+  if (!feather) {
+    QUADRANTS.forEach(([qcol, qrow]) => draw(ctx, quadrantRect(tx, ty, tw, th, qcol, qrow, orientation), qcol, qrow));
+    return;
+  }
+
+  const sum  = createCanvas(tw, th);
+  const sctx = sum.getContext('2d');
+  sctx.globalCompositeOperation = 'lighter';
+  QUADRANTS.forEach(([qcol, qrow]) => {
+    const layer = createCanvas(tw, th);
+    const lctx  = layer.getContext('2d');
+    draw(lctx, { kind: 'layer', x: 0, y: 0, w: tw, h: th, col: qcol, row: qrow, orientation }, qcol, qrow);
+    lctx.globalCompositeOperation = 'destination-in';
+    lctx.drawImage(featherMask(tw, th, qcol, qrow, feather, orientation), 0, 0);
+    sctx.drawImage(layer, 0, 0);
+  });
+  ctx.drawImage(sum, tx, ty);
+}
+
+/** Cross-fade weight of the far side at signed distance `d` (px) past a boundary. */
+function featherRamp(d, feather) {
+  return Math.min(1, Math.max(0, 0.5 + d / feather));
+}
+
+/**
+ * Alpha mask weighting quadrant (qcol, qrow)'s layer.  The weight is a ramp
+ * across each centre line, multiplied over both axes; isometric tiles measure
+ * in grid space, scaled to screen pixels across the line.  The four masks are
+ * rounded together so they add up to exactly 255 at every pixel.
+ */
+function featherMask(tw, th, qcol, qrow, feather, orientation) {
+  const want = qrow * 2 + qcol;
+  const iso  = orientation === 'isometric';
+  const unit = tw * th / 2 / Math.hypot(tw / 2, th / 2);  // px per grid unit, across a line
+  return pixelMask(`feather/${orientation}/${tw}×${th}/${want}/${feather}`, tw, th, (x, y) => {
+    let dx, dy;
+    if (iso) {
+      if (diamondQuarter(x, y, tw, th) < 0) return 0;
+      const a = (x + 0.5) / tw;
+      const b = (y + 0.5) / th;
+      dx = (a + b - 1) * unit;
+      dy = (b - a) * unit;
+    } else {
+      dx = x + 0.5 - Math.floor(tw / 2);
+      dy = y + 0.5 - Math.floor(th / 2);
+    }
+    const wx = featherRamp(dx, feather);
+    const wy = featherRamp(dy, feather);
+    const weights = [(1 - wx) * (1 - wy), wx * (1 - wy), (1 - wx) * wy, wx * wy];
+    // Round the running total so the quantized weights still sum to 255
+    let before = 0;
+    for (let k = 0; k < want; k++) before += weights[k];
+    return (Math.round((before + weights[want]) * 255) - Math.round(before * 255)) / 255;
+  });
+}
+
+/**
+ * Pixel-exact split of a tile dimension: [offset, size] of half `q`
+ * (0 = left / top, 1 = right / bottom).  Odd sizes give the extra pixel to
+ * the second half.
+ */
+export function splitHalf(size, q) {
+  const first = Math.floor(size / 2);
+  return q ? [first, size - first] : [0, first];
+}
+
+/**
+ * Destination of quadrant (qcol, qrow) of a tw × th tile at (tx, ty).  Every
+ * destination names its `kind`, which decides how blitQuadrant() draws it:
+ *
+ *   quad     { x, y, w, h }                          the quarter itself
+ *   diamond  { x, y, w, h, col, row }                the whole (isometric) tile,
+ *                                                    masked to diamond quarter col, row
+ *   layer    { x, y, w, h, col, row, orientation }   a feathered layer (blitLayer())
+ */
+function quadrantRect(tx, ty, tw, th, qcol, qrow, orientation = 'orthogonal') {
+  if (orientation === 'isometric') return { kind: 'diamond', x: tx, y: ty, w: tw, h: th, col: qcol, row: qrow };
+  const [ox, w] = splitHalf(tw, qcol);
+  const [oy, h] = splitHalf(th, qrow);
+  return { kind: 'quad', x: tx + ox, y: ty + oy, w, h };
+}
+
+/**
+ * Quarter of a tw × th diamond that pixel (x, y) falls in, as qrow × 2 + qcol,
+ * or -1 outside the diamond.  The pixel centre is mapped to grid space, where
+ * the diamond is the unit square: gx runs west → east, gy north → south.
+ */
+export function diamondQuarter(x, y, tw, th) {
+  const a  = (x + 0.5) / tw;
+  const b  = (y + 0.5) / th;
+  const gx = a + b - 0.5;
+  const gy = b - a + 0.5;
+  if (gx < 0 || gx >= 1 || gy < 0 || gy >= 1) return -1;
+  return (gy >= 0.5 ? 2 : 0) + (gx >= 0.5 ? 1 : 0);
+}
+
+/** Opaque-where-covered mask canvas of one diamond quarter. */
+function diamondQuarterMask(tw, th, qcol, qrow) {
+  const want = qrow * 2 + qcol;
+  return pixelMask(`diamond/${tw}×${th}/${want}`, tw, th, (x, y) => diamondQuarter(x, y, tw, th) === want);
+}
+
+// key → mask canvas, in insertion order.  Keys include tile size and feather,
+// so trying sizes would otherwise keep every mask ever built.
+const pixelMasks = new Map();
+const PIXEL_MASK_LIMIT = 256;
+
+/**
+ * tw × th mask canvas, opaque where `covers(x, y)` — true, or a coverage
+ * from 0 to 1; cached under `key`.  The oldest masks are dropped beyond
+ * PIXEL_MASK_LIMIT.
+ */
+function pixelMask(key, tw, th, covers) {
+  if (!pixelMasks.has(key)) {
+    if (pixelMasks.size >= PIXEL_MASK_LIMIT) pixelMasks.delete(pixelMasks.keys().next().value);
+    const mask = createCanvas(tw, th);
+    const mctx = mask.getContext('2d');
+    const data = mctx.createImageData(tw, th);
+    for (let y = 0; y < th; y++) {
+      for (let x = 0; x < tw; x++) {
+        data.data[(y * tw + x) * 4 + 3] = Math.round(covers(x, y) * 255);
+      }
+    }
+    mctx.putImageData(data, 0, 0);
+    pixelMasks.set(key, mask);
+  }
+  return pixelMasks.get(key);
+}
+
+/**
+ * The images one quadrant may read, picked from the slot set.
+ * `corner` names the source quarter (NW/NE/SW/SE) for the corner slots.
+ */
+function quadrantSources(imgs, vert, horiz, corner) {
+  return {
+    main:       imgs.main,
+    vert:       imgs[vert],
+    horiz:      imgs[horiz],
+    outer:      imgs[`outer${corner}`],
+    inner:      imgs[`inner${corner}`],
+    background: imgs.background,
+  };
 }
 
 /**
@@ -94,37 +407,53 @@ export function composeQuadrants(ctx, tx, ty, ts, bm4, imgs, bm8 = 0) {
  *   2. Edge images are composited on top using canvas source-over blending.
  *      If an edge image has transparent pixels, the main image shows through.
  *
+ * With a background terrain the exposed quadrants are drawn by
+ * drawTransitionQuadrant() instead.
+ *
  * @param {CanvasRenderingContext2D} ctx
- * @param {number} qx, qy       - Output position (top-left of quadrant)
- * @param {number} qs           - Quadrant size
+ * @param {Object} rect        - Output rect (quadrantRect())
  * @param {number} qcol, qrow   - Which quadrant (0/1, 0/1) within source images
  * @param {boolean} hasVert     - Vertical cardinal neighbor present (N for top, S for bottom)
  * @param {boolean} hasHoriz    - Horizontal cardinal neighbor present (W for left, E for right)
- * @param {CanvasImageSource|null} imgMain  - Main (interior) image
- * @param {CanvasImageSource|null} imgVert  - Vertical edge image (top or bottom)
- * @param {CanvasImageSource|null} imgHoriz - Horizontal edge image (left or right)
  * @param {boolean} innerCorner - When true: both cardinals present but diagonal absent.
  *                                Overlay both edge images to render the concave corner.
  *                                Only set by 47-tile compositor; always false for 16-tile.
+ * @param {Object} src          - From quadrantSources():
+ *   main        Main (interior) image
+ *   vert        Vertical edge image (top or bottom)
+ *   horiz       Horizontal edge image (left or right)
+ *   outer       Hand-drawn outer corner; replaces the layered edges
+ *   inner       Hand-drawn inner corner; replaces the edge intersection
+ *   background  Background terrain main image
+ * @param {string} strategy     - How a synthesized inner corner merges the two
+ *                                edge images (INNER_CORNER_STRATEGIES)
  */
-function drawQuadrant(ctx, qx, qy, qs, qcol, qrow, hasVert, hasHoriz, imgMain, imgVert, imgHoriz, innerCorner = false) {
-  const anyImg = imgMain || imgVert || imgHoriz;
+function drawQuadrant(ctx, rect, qcol, qrow, hasVert, hasHoriz, innerCorner, src, strategy = 'intersection') {
+  const { main: imgMain, vert: imgVert, horiz: imgHoriz, outer: imgOuter, inner: imgInner } = src;
+  const anyImg = imgMain || imgVert || imgHoriz || imgOuter || imgInner;
   // If no source image is available for this quadrant, leave the pixels
   // transparent so the exported PNG carries correct alpha data.
   if (!anyImg) return;
 
+  if (src.background && (innerCorner || !(hasVert && hasHoriz))) {
+    drawTransitionQuadrant(ctx, rect, qcol, qrow, hasVert, hasHoriz, src);
+    return;
+  }
+
   if (hasVert && hasHoriz) {
     // Interior quadrant: main image as base
-    blitQuadrant(ctx, qx, qy, qs, qcol, qrow, imgMain || imgVert || imgHoriz);
+    blitQuadrant(ctx, rect, qcol, qrow, imgMain || imgVert || imgHoriz);
     if (innerCorner) {
       // Inner corner (凹角): both cardinals connected but diagonal absent.
       // Draw only at the intersection of both edge images (overlap pixels only).
-      if (imgVert && imgHoriz) {
-        blendQuadrantEdges(ctx, qx, qy, qs, qcol, qrow, imgVert, imgHoriz);
+      if (imgInner) {
+        blitQuadrant(ctx, rect, qcol, qrow, imgInner);
+      } else if (imgVert && imgHoriz) {
+        blendQuadrantEdges(ctx, rect, qcol, qrow, imgVert, imgHoriz, strategy);
       } else if (imgVert) {
-        blitQuadrant(ctx, qx, qy, qs, qcol, qrow, imgVert);
+        blitQuadrant(ctx, rect, qcol, qrow, imgVert);
       } else if (imgHoriz) {
-        blitQuadrant(ctx, qx, qy, qs, qcol, qrow, imgHoriz);
+        blitQuadrant(ctx, rect, qcol, qrow, imgHoriz);
       }
     }
     return;
@@ -135,14 +464,58 @@ function drawQuadrant(ctx, qx, qy, qs, qcol, qrow, hasVert, hasHoriz, imgMain, i
   //   Layer 2 — exposed edge image(s) composited on top
   //   Transparent pixels in edge images reveal the main image beneath.
   if (imgMain) {
-    blitQuadrant(ctx, qx, qy, qs, qcol, qrow, imgMain);
+    blitQuadrant(ctx, rect, qcol, qrow, imgMain);
+  }
+
+  // Outer corner (凸角): a dedicated corner image stands in for both edges
+  if (!hasVert && !hasHoriz && imgOuter) {
+    blitQuadrant(ctx, rect, qcol, qrow, imgOuter);
+    return;
   }
 
   if (!hasVert && imgVert) {
-    blitQuadrant(ctx, qx, qy, qs, qcol, qrow, imgVert);
+    blitQuadrant(ctx, rect, qcol, qrow, imgVert);
   }
   if (!hasHoriz && imgHoriz) {
-    blitQuadrant(ctx, qx, qy, qs, qcol, qrow, imgHoriz);
+    blitQuadrant(ctx, rect, qcol, qrow, imgHoriz);
+  }
+}
+
+/**
+ * Exposed quadrant of a two-terrain tile.  Edge and corner images are read as
+ * cut-outs: opaque pixels are this terrain, transparent pixels let the
+ * background terrain through.  A missing edge image counts as solid terrain.
+ */
+function drawTransitionQuadrant(ctx, rect, qcol, qrow, hasVert, hasHoriz, src) {
+  const { main, vert, horiz, outer, inner, background } = src;
+  blitQuadrant(ctx, rect, qcol, qrow, background);
+
+  if (hasVert && hasHoriz) {
+    // Inner corner: only the diagonal is open — terrain is the union of both edges
+    if (inner) {
+      blitQuadrant(ctx, rect, qcol, qrow, inner);
+    } else if (vert && horiz) {
+      blitQuadrant(ctx, rect, qcol, qrow, vert);
+      blitQuadrant(ctx, rect, qcol, qrow, horiz);
+    } else {
+      blitQuadrant(ctx, rect, qcol, qrow, main);
+    }
+    return;
+  }
+
+  if (hasVert || hasHoriz) {
+    // Single exposed edge
+    blitQuadrant(ctx, rect, qcol, qrow, (hasVert ? horiz : vert) || main);
+    return;
+  }
+
+  // Outer corner: terrain only where both edges agree
+  if (outer) {
+    blitQuadrant(ctx, rect, qcol, qrow, outer);
+  } else if (vert && horiz) {
+    blendQuadrantEdges(ctx, rect, qcol, qrow, vert, horiz);
+  } else {
+    blitQuadrant(ctx, rect, qcol, qrow, vert || horiz || main);
   }
 }
 
@@ -151,55 +524,145 @@ function drawQuadrant(ctx, qx, qy, qs, qcol, qrow, hasVert, hasHoriz, imgMain, i
  * Source quadrant is selected by (qcol, qrow) — each is 0 or 1, addressing
  * the top-left / top-right / bottom-left / bottom-right quarter of the image.
  */
-function blitQuadrant(ctx, qx, qy, qs, qcol, qrow, src) {
+function blitQuadrant(ctx, rect, qcol, qrow, src) {
   if (!src) return;
-  const sw = src.width;
-  const sh = src.height;
+  if (rect.kind === 'layer') {
+    blitLayer(ctx, rect, qcol, qrow, src);
+    return;
+  }
+  if (rect.kind === 'diamond') {
+    blitDiamondQuarter(ctx, rect, qcol, qrow, src);
+    return;
+  }
+  const { x: qx, y: qy, w: qw, h: qh } = rect;
+  let [sx, sw] = splitHalf(src.width,  qcol);
+  let [sy, sh] = splitHalf(src.height, qrow);
+  // Odd sizes: corner sets sample the opposite quarter, which is one pixel
+  // larger or smaller — take the destination size instead of stretching
+  if (src.width  % 2 && Math.abs(sw - qw) === 1) sw = qw;
+  if (src.height % 2 && Math.abs(sh - qh) === 1) sh = qh;
   ctx.drawImage(
     src,
-    qcol * sw / 2, qrow * sh / 2, sw / 2, sh / 2, // source quadrant
-    qx, qy, qs, qs                                  // destination quadrant
+    sx, sy, sw, sh,   // source quadrant
+    qx, qy, qw, qh    // destination quadrant
   );
 }
 
 /**
- * Composite two edge images onto the canvas, drawing ONLY at their intersection.
- * Pixels present in only one image are not drawn.
+ * Isometric blitQuadrant(): draw the whole source over the tile, masked to the
+ * destination quarter.  Reading another quarter than the one drawn (corner
+ * sets) shifts the source by half a cell along the grid axes, which is a
+ * quarter of the tile across and down per step.
+ */
+function blitDiamondQuarter(ctx, { x: tx, y: ty, w: tw, h: th, col: dcol, row: drow }, qcol, qrow, src) {
+  const dc = qcol - dcol;
+  const dr = qrow - drow;
+  const sx = Math.round((dc - dr) * tw / 4);
+  const sy = Math.round((dc + dr) * th / 4);
+  blitMasked(ctx, tx, ty, tw, th, src, diamondQuarterMask(tw, th, dcol, drow), -sx, -sy);
+}
+
+/**
+ * blitQuadrant() onto a feathered layer (rect kind 'layer'): the whole
+ * source, moved so that quarter (qcol, qrow) lands on destination quarter
+ * (col, row), and repeated one tile around so that
+ * corner sets, which read the opposite quarter, have pixels beyond the
+ * quarter to fade in.
+ */
+function blitLayer(ctx, { x: tx, y: ty, w: tw, h: th, col: dcol, row: drow, orientation }, qcol, qrow, src) {
+  const dc = qcol - dcol;
+  const dr = qrow - drow;
+  const iso = orientation === 'isometric';
+  const sx  = Math.round(iso ? (dc - dr) * tw / 4 : dc * tw / 2);
+  const sy  = Math.round(iso ? (dc + dr) * th / 4 : dr * th / 2);
+  // Neighboring tiles: one cell along either grid axis
+  const [ax, ay, bx, by] = iso ? [tw / 2, th / 2, -tw / 2, th / 2] : [tw, 0, 0, th];
+  for (let i = -1; i <= 1; i++) {
+    for (let j = -1; j <= 1; j++) {
+      ctx.drawImage(src, Math.round(tx - sx + i * ax + j * bx), Math.round(ty - sy + i * ay + j * by), tw, th);
+    }
+  }
+}
+
+/**
+ * Draw `src` scaled over the tw × th tile at (tx, ty), moved by (ox, oy),
+ * keeping only the pixels where `mask` is opaque.
+ */
+function blitMasked(ctx, tx, ty, tw, th, src, mask, ox = 0, oy = 0) {
+  if (!src) return;
+  const tmp  = createCanvas(tw, th);
+  const tctx = tmp.getContext('2d');
+  tctx.drawImage(src, ox, oy, tw, th);
+  tctx.globalCompositeOperation = 'destination-in';
+  tctx.drawImage(mask, 0, 0);
+  ctx.drawImage(tmp, tx, ty);
+}
+
+/**
+ * Ways blendQuadrantEdges() can merge the vertical and horizontal edge images:
+ *   intersection  only where both are present; colors averaged (default)
+ *   union         wherever either is present; colors averaged where both are
+ *   vertical      the vertical edge (top / bottom) wins wherever it is present
+ *   horizontal    the horizontal edge (left / right) wins wherever it is present
+ *   min-alpha     colors averaged, alpha = the lower of the two
+ *   max-alpha     colors averaged, alpha = the higher of the two
+ */
+export const INNER_CORNER_STRATEGIES = ['intersection', 'union', 'vertical', 'horizontal', 'min-alpha', 'max-alpha'];
+
+/**
+ * Composite two edge images onto the canvas, merged pixel by pixel with
+ * `strategy` (INNER_CORNER_STRATEGIES).  With the default 'intersection':
  *
  * - Pixels in both (intersection) → 50/50 alpha-weighted blend
  * - Pixels only in one image      → not drawn (transparent)
  *
- * Used for inner corners where both edge images meet at the diagonal.
+ * Used for inner corners where both edge images meet at the diagonal, and
+ * (always as an intersection) for two-terrain outer corners.
  */
-function blendQuadrantEdges(ctx, qx, qy, qs, qcol, qrow, imgVert, imgHoriz) {
+function blendQuadrantEdges(ctx, rect, qcol, qrow, imgVert, imgHoriz, strategy = 'intersection') {
+  const { x: qx, y: qy, w: qw, h: qh } = rect;
+  const local = { ...rect, x: 0, y: 0 };
+
   // Render each edge quadrant into its own temp canvas
-  const tmpV = createCanvas(qs, qs);
-  blitQuadrant(tmpV.getContext('2d'), 0, 0, qs, qcol, qrow, imgVert);
+  const tmpV = createCanvas(qw, qh);
+  blitQuadrant(tmpV.getContext('2d'), local, qcol, qrow, imgVert);
 
-  const tmpH = createCanvas(qs, qs);
-  blitQuadrant(tmpH.getContext('2d'), 0, 0, qs, qcol, qrow, imgHoriz);
+  const tmpH = createCanvas(qw, qh);
+  blitQuadrant(tmpH.getContext('2d'), local, qcol, qrow, imgHoriz);
 
-  const dataV = tmpV.getContext('2d').getImageData(0, 0, qs, qs);
-  const dataH = tmpH.getContext('2d').getImageData(0, 0, qs, qs);
+  const dataV = tmpV.getContext('2d').getImageData(0, 0, qw, qh);
+  const dataH = tmpH.getContext('2d').getImageData(0, 0, qw, qh);
 
-  // Build output: only intersection pixels
-  const tmpOut = createCanvas(qs, qs);
+  const tmpOut = createCanvas(qw, qh);
   const tcOut  = tmpOut.getContext('2d');
-  const out    = tcOut.createImageData(qs, qs);
+  const out    = tcOut.createImageData(qw, qh);
 
   for (let i = 0; i < out.data.length; i += 4) {
     const aV = dataV.data[i + 3];
     const aH = dataH.data[i + 3];
+    if (aV === 0 && aH === 0) continue;
 
-    if (aV > 0 && aH > 0) {
-      // Intersection only: alpha-weighted 50/50 blend
-      const total = aV + aH;
-      out.data[i    ] = Math.round((dataV.data[i    ] * aV + dataH.data[i    ] * aH) / total);
-      out.data[i + 1] = Math.round((dataV.data[i + 1] * aV + dataH.data[i + 1] * aH) / total);
-      out.data[i + 2] = Math.round((dataV.data[i + 2] * aV + dataH.data[i + 2] * aH) / total);
-      out.data[i + 3] = Math.max(aV, aH);
+    // Priority strategies copy one image's pixel outright
+    const first = strategy === 'vertical' ? dataV : strategy === 'horizontal' ? dataH : null;
+    if (first) {
+      const src = first.data[i + 3] > 0 ? first : first === dataV ? dataH : dataV;
+      for (let k = 0; k < 4; k++) out.data[i + k] = src.data[i + k];
+      continue;
     }
-    // Non-intersection: leave transparent (don't draw)
+
+    const alpha = strategy === 'union'     ? Math.round(aV + aH - aV * aH / 255)
+                : strategy === 'min-alpha' ? Math.min(aV, aH)
+                : strategy === 'max-alpha' ? Math.max(aV, aH)
+                : aV > 0 && aH > 0         ? Math.max(aV, aH)  // intersection
+                :                            0;
+    if (alpha === 0) continue;
+
+    // Alpha-weighted 50/50 color blend (a lone pixel keeps its own color)
+    const total = aV + aH;
+    out.data[i    ] = Math.round((dataV.data[i    ] * aV + dataH.data[i    ] * aH) / total);
+    out.data[i + 1] = Math.round((dataV.data[i + 1] * aV + dataH.data[i + 1] * aH) / total);
+    out.data[i + 2] = Math.round((dataV.data[i + 2] * aV + dataH.data[i + 2] * aH) / total);
+    out.data[i + 3] = alpha;
   }
 
   tcOut.putImageData(out, 0, 0);
@@ -216,13 +679,15 @@ function blendQuadrantEdges(ctx, qx, qy, qs, qcol, qrow, imgVert, imgHoriz) {
  * Returns the canvas element and tile descriptor array.
  *
  * @param {Object} images  - { main, top, bottom, left, right }
- * @param {number} tileSize
+ * @param {number} tileW, tileH  - Tile width and height (height defaults to width)
+ * @param {string} orientation   - 'orthogonal' or 'isometric'
+ * @param {Object} blend         - { feather, innerCorner, resample } compositing settings
  * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
  */
-export function generate16(images, tileSize) {
+export function generate16(images, tileW, tileH = tileW, orientation = 'orthogonal', blend = {}) {
   const cols = 4;
   const rows = 4;
-  const canvas = createCanvas(cols * tileSize, rows * tileSize);
+  const canvas = createCanvas(cols * tileW, rows * tileH);
   const ctx = canvas.getContext('2d');
   const tiles = [];
 
@@ -236,16 +701,16 @@ export function generate16(images, tileSize) {
   for (let bitmask = 0; bitmask < 16; bitmask++) {
     const col = bitmask % cols;
     const row = Math.floor(bitmask / cols);
-    const tx = col * tileSize;
-    const ty = row * tileSize;
+    const tx = col * tileW;
+    const ty = row * tileH;
 
-    composeQuadrants(ctx, tx, ty, tileSize, bitmask, images);
+    composeQuadrants(ctx, tx, ty, tileW, tileH, bitmask, images, 0, orientation, blend);
 
     tiles.push({
       id: bitmask,
       bitmask,
       x: tx, y: ty,
-      width: tileSize, height: tileSize,
+      width: tileW, height: tileH,
       label: LABELS[bitmask] || `tile-${bitmask}`,
     });
   }
@@ -313,32 +778,34 @@ function cardinals8to4(b8) {
  * Generate a 8×6 spritesheet of 47 tiles.
  *
  * @param {Object} images
- * @param {number} tileSize
+ * @param {number} tileW, tileH  - Tile width and height (height defaults to width)
+ * @param {string} orientation   - 'orthogonal' or 'isometric'
+ * @param {Object} blend         - { feather, innerCorner, resample } compositing settings
  * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
  */
-export function generate47(images, tileSize) {
+export function generate47(images, tileW, tileH = tileW, orientation = 'orthogonal', blend = {}) {
   const cols = 8;
   const rows = Math.ceil(NORMALIZED_47.length / cols); // 6
-  const canvas = createCanvas(cols * tileSize, rows * tileSize);
+  const canvas = createCanvas(cols * tileW, rows * tileH);
   const ctx = canvas.getContext('2d');
   const tiles = [];
 
   NORMALIZED_47.forEach((norm8, idx) => {
     const col = idx % cols;
     const row = Math.floor(idx / cols);
-    const tx  = col * tileSize;
-    const ty  = row * tileSize;
+    const tx  = col * tileW;
+    const ty  = row * tileH;
 
     // Compose using cardinal neighbors; pass norm8 for inner-corner rendering
     const bm4 = cardinals8to4(norm8);
-    composeQuadrants(ctx, tx, ty, tileSize, bm4, images, norm8);
+    composeQuadrants(ctx, tx, ty, tileW, tileH, bm4, images, norm8, orientation, blend);
 
     tiles.push({
       id: idx,
       bitmask8: norm8,
       bitmask4: bm4,
       x: tx, y: ty,
-      width: tileSize, height: tileSize,
+      width: tileW, height: tileH,
       label: `tile-47-${idx}`,
     });
   });
@@ -346,33 +813,686 @@ export function generate47(images, tileSize) {
   return { canvas, tiles };
 }
 
+// ─────────────────────────────────────────────────────────────
+// 256-Tile Generator
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Generate a 16×16 spritesheet with one tile per raw 8-bit bitmask.
+ * Uses the same bit layout as the 47-tile set, without normalize47().
+ *
+ * @param {Object} images
+ * @param {number} tileW, tileH  - Tile width and height (height defaults to width)
+ * @param {string} orientation   - 'orthogonal' or 'isometric'
+ * @param {Object} blend         - { feather, innerCorner, resample } compositing settings
+ * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
+ */
+export function generate256(images, tileW, tileH = tileW, orientation = 'orthogonal', blend = {}) {
+  const cols = 16;
+  const rows = 16;
+  const canvas = createCanvas(cols * tileW, rows * tileH);
+  const ctx = canvas.getContext('2d');
+  const tiles = [];
+
+  for (let raw8 = 0; raw8 < 256; raw8++) {
+    const col = raw8 % cols;
+    const row = Math.floor(raw8 / cols);
+    const tx  = col * tileW;
+    const ty  = row * tileH;
+
+    // Inner corners only depend on diagonals whose cardinals are both set,
+    // so the raw mask can be handed to the compositor as-is.
+    const bm4 = cardinals8to4(raw8);
+    composeQuadrants(ctx, tx, ty, tileW, tileH, bm4, images, raw8, orientation, blend);
+
+    tiles.push({
+      id: raw8,
+      bitmask8: raw8,
+      bitmask4: bm4,
+      x: tx, y: ty,
+      width: tileW, height: tileH,
+      label: `tile-256-${raw8}`,
+    });
+  }
+
+  return { canvas, tiles };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Wang 2-Corner Generator
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Generate a 4×4 spritesheet of 16 corner-based Wang tiles.
+ *
+ * @param {Object} images  - { main, top, bottom, left, right }
+ * @param {number} tileW, tileH  - Tile width and height (height defaults to width)
+ * @param {string} orientation   - 'orthogonal' or 'isometric'
+ * @param {Object} blend         - { feather, innerCorner, resample } compositing settings
+ * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
+ */
+export function generateWang(images, tileW, tileH = tileW, orientation = 'orthogonal', blend = {}) {
+  return generateCornerSet(images, tileW, tileH, 'wang', orientation, blend);
+}
+
+/**
+ * Generate the 4×4 spritesheet of 16 dual-grid display tiles.
+ * Tile i covers world cells NE/SE/SW/NW according to the corner mask i.
+ *
+ * @param {Object} images  - { main, top, bottom, left, right }
+ * @param {number} tileW, tileH  - Tile width and height (height defaults to width)
+ * @param {string} orientation   - 'orthogonal' or 'isometric'
+ * @param {Object} blend         - { feather, innerCorner, resample } compositing settings
+ * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
+ */
+export function generateDual(images, tileW, tileH = tileW, orientation = 'orthogonal', blend = {}) {
+  return generateCornerSet(images, tileW, tileH, 'dual', orientation, blend);
+}
+
+const CORNER_LABELS = [
+  'empty',     'corner-NE',  'corner-SE',  'edge-E',
+  'corner-SW', 'diag-NE-SW', 'edge-S',     'inner-NW',
+  'corner-NW', 'edge-N',     'diag-NW-SE', 'inner-SW',
+  'edge-W',    'inner-SE',   'inner-NE',   'full',
+];
+
+/** Shared body of the corner-keyed generators; `prefix` namespaces the labels. */
+function generateCornerSet(images, tileW, tileH, prefix, orientation, blend) {
+  const cols = 4;
+  const rows = 4;
+  const canvas = createCanvas(cols * tileW, rows * tileH);
+  const ctx = canvas.getContext('2d');
+  const tiles = [];
+
+  for (let corners = 0; corners < 16; corners++) {
+    const col = corners % cols;
+    const row = Math.floor(corners / cols);
+    const tx = col * tileW;
+    const ty = row * tileH;
+
+    composeCorners(ctx, tx, ty, tileW, tileH, corners, images, orientation, blend);
+
+    tiles.push({
+      id: corners,
+      corners,
+      x: tx, y: ty,
+      width: tileW, height: tileH,
+      label: `${prefix}-${CORNER_LABELS[corners]}`,
+    });
+  }
+
+  return { canvas, tiles };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Hex Generator
+// ─────────────────────────────────────────────────────────────
+
+/** Side names in bit order for each hex top ('pointy' | 'flat'). */
+export const HEX_SIDES = {
+  pointy: ['NE', 'E', 'SE', 'SW', 'W', 'NW'],
+  flat:   ['N', 'NE', 'SE', 'S', 'SW', 'NW'],
+};
+
+// Hex corners in the tile box scaled to [-1, 1]², clockwise; side i runs from
+// corner i to corner i + 1
+const HEX_CORNERS = {
+  pointy: [[0, -1], [1, -0.5], [1, 0.5], [0, 1], [-1, 0.5], [-1, -0.5]],
+  flat:   [[-0.5, -1], [0.5, -1], [1, 0], [0.5, 1], [-0.5, 1], [-1, 0]],
+};
+
+const CARDINAL_SLOTS = { N: 'top', E: 'right', S: 'bottom', W: 'left' };
+
+/** True for the hex algorithms ('hex-pointy', 'hex-flat'). */
+export function isHexSet(algorithm) {
+  return algorithm === 'hex-pointy' || algorithm === 'hex-flat';
+}
+
+/** Hex top of a hex algorithm: 'pointy' or 'flat'. */
+export function hexTop(algorithm) {
+  return algorithm === 'hex-flat' ? 'flat' : 'pointy';
+}
+
+/**
+ * Side wedge (0–5, bit order) of a tw × th hex that pixel (x, y) falls in,
+ * or -1 outside the hex.
+ */
+export function hexSide(x, y, tw, th, top) {
+  const px = (x + 0.5) / tw * 2 - 1;
+  const py = (y + 0.5) / th * 2 - 1;
+  if (!px && !py) return 0;
+  const corners = HEX_CORNERS[top];
+  for (let i = 0; i < 6; i++) {
+    const [ax, ay] = corners[i];
+    const [bx, by] = corners[(i + 1) % 6];
+    // Inside the wedge between the rays to corners i and i + 1 …
+    if (ax * py - ay * px < 0 || px * by - py * bx <= 0) continue;
+    // … and on the centre's side of the hex side
+    return (bx - ax) * (py - ay) - (by - ay) * (px - ax) >= 0 ? i : -1;
+  }
+  return -1;
+}
+
+/** Pixel outline [[x, y] × 6] of the tw × th hex whose tile box is at (tx, ty). */
+export function hexOutline(tx, ty, tw, th, top) {
+  return HEX_CORNERS[top].map(([u, v]) => [tx + (u + 1) / 2 * tw, ty + (v + 1) / 2 * th]);
+}
+
+/** Edge image for one hex side; diagonal sides fall back to the nearer cardinal edge. */
+function hexEdgeImage(imgs, side, top) {
+  if (side.length === 1) return imgs[CARDINAL_SLOTS[side]];
+  const nearer = top === 'pointy' ? CARDINAL_SLOTS[side[0]] : CARDINAL_SLOTS[side[1]];
+  return imgs[`hex${side}`] || imgs[nearer];
+}
+
+/**
+ * Draw one hex tile from six side wedges.  A connected side shows the main
+ * image; an open side composites its edge image over the main image, or over
+ * the background terrain when one is set (edge images are then cut-outs,
+ * like drawTransitionQuadrant()).  Each wedge is drawn whole and masked, so
+ * feathered blending only swaps the wedge masks for soft ones
+ * (hexFeatherMask()).
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} tx, ty   - Tile position in context (pixels)
+ * @param {number} tw, th   - Tile width and height (pixels)
+ * @param {number} bm6      - 6-bit side mask, bit order per HEX_SIDES[top]
+ * @param {Object} imgs     - { main, top, bottom, left, right, hexNE … hexNW, background }
+ * @param {string} top      - 'pointy' or 'flat'
+ * @param {Object} blend    - { feather, resample } compositing settings
+ */
+export function composeHex(ctx, tx, ty, tw, th, bm6, imgs, top = 'pointy', blend = {}) {
+  imgs = fitImages(imgs, tw, th, blend.resample);
+  const feather = blend.feather ?? 0;
+  const sum  = createCanvas(tw, th);
+  const sctx = sum.getContext('2d');
+  sctx.globalCompositeOperation = 'lighter';
+
+  HEX_SIDES[top].forEach((side, i) => {
+    const edge   = hexEdgeImage(imgs, side, top);
+    const layers = (bm6 & (1 << i)) ? [imgs.main || edge]
+                 : imgs.background  ? [imgs.background, edge || imgs.main]
+                 :                    [imgs.main, edge];
+    const wedge  = createCanvas(tw, th);
+    const wctx   = wedge.getContext('2d');
+    layers.forEach(img => { if (img) wctx.drawImage(img, 0, 0, tw, th); });
+    wctx.globalCompositeOperation = 'destination-in';
+    wctx.drawImage(feather ? hexFeatherMask(tw, th, top, i, feather)
+                           : pixelMask(`hex-${top}/${tw}×${th}/${i}`, tw, th, (x, y) => hexSide(x, y, tw, th, top) === i), 0, 0);
+    sctx.drawImage(wedge, 0, 0);
+  });
+  ctx.drawImage(sum, tx, ty);
+}
+
+/**
+ * Soft mask of hex wedge `side`: each pixel is shared between its own wedge
+ * and the wedge across the nearer boundary ray, by a ramp over the
+ * perpendicular distance to that ray.  The two weights add up to 255.
+ */
+function hexFeatherMask(tw, th, top, side, feather) {
+  const cx = tw / 2;
+  const cy = th / 2;
+  const rays = hexOutline(0, 0, tw, th, top).map(([x, y]) => [x - cx, y - cy]);
+  const distance = ([rx, ry], px, py) => Math.abs(rx * py - ry * px) / Math.hypot(rx, ry);
+
+  return pixelMask(`hex-feather-${top}/${tw}×${th}/${side}/${feather}`, tw, th, (x, y) => {
+    const own = hexSide(x, y, tw, th, top);
+    if (own < 0) return 0;
+    const px = x + 0.5 - cx;
+    const py = y + 0.5 - cy;
+    const toStart = distance(rays[own], px, py);
+    const toEnd   = distance(rays[(own + 1) % 6], px, py);
+    const other   = toStart <= toEnd ? (own + 5) % 6 : (own + 1) % 6;
+    const weight  = Math.round(featherRamp(Math.min(toStart, toEnd), feather) * 255) / 255;
+    return side === own ? weight : side === other ? 1 - weight : 0;
+  });
+}
+
+/**
+ * Generate the 8×8 spritesheet of 64 hex tiles, one per side mask.
+ *
+ * @param {Object} images  - { main, top, bottom, left, right, hexNE … hexNW }
+ * @param {number} tileW, tileH  - Tile width and height (height defaults to width)
+ * @param {string} top           - 'pointy' or 'flat'
+ * @param {Object} blend         - { feather, innerCorner, resample } compositing settings
+ * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
+ */
+export function generateHex(images, tileW, tileH = tileW, top = 'pointy', blend = {}) {
+  const cols = 8;
+  const rows = 8;
+  const canvas = createCanvas(cols * tileW, rows * tileH);
+  const ctx = canvas.getContext('2d');
+  const tiles = [];
+
+  for (let bitmask6 = 0; bitmask6 < 64; bitmask6++) {
+    const col = bitmask6 % cols;
+    const row = Math.floor(bitmask6 / cols);
+    const tx = col * tileW;
+    const ty = row * tileH;
+
+    composeHex(ctx, tx, ty, tileW, tileH, bitmask6, images, top, blend);
+
+    tiles.push({
+      id: bitmask6,
+      bitmask6,
+      x: tx, y: ty,
+      width: tileW, height: tileH,
+      label: `hex-${top}-${bitmask6}`,
+    });
+  }
+
+  return { canvas, tiles };
+}
+
+/** True for algorithms whose tiles are keyed by a 4-bit corner mask. */
+export function isCornerSet(algorithm) {
+  return algorithm === 'wang' || algorithm === 'dual';
+}
+
+/**
+ * Derive the Wang corner mask from a normalized 8-bit neighbor bitmask.
+ * A corner is terrain only when the cell and all three cells sharing that
+ * vertex are present — exactly the diagonal bits that survive normalize47().
+ */
+export function bitmask8ToCorners(norm8) {
+  return ((norm8 & 0x02) ? 0x1 : 0)   // NE
+       | ((norm8 & 0x08) ? 0x2 : 0)   // SE
+       | ((norm8 & 0x20) ? 0x4 : 0)   // SW
+       | ((norm8 & 0x80) ? 0x8 : 0);  // NW
+}
+
 // ─────────────────────────────────────────────────────────────
 // Main dispatch
 // ─────────────────────────────────────────────────────────────
 
+/** Every `state.algorithm` generate() knows. */
+export const ALGORITHMS = ['16', '47', '256', 'wang', 'dual', 'hex-pointy', 'hex-flat'];
+
+/** Every `state.orientation`; hex algorithms ignore it. */
+export const ORIENTATIONS = ['orthogonal', 'isometric'];
+
+/** Weight of a slot's own image when it is picked against its variants. */
+export const BASE_VARIANT_WEIGHT = 1;
+
 /**
  * Generate tileset based on the current app state.
- * @param {{ images: Object, tileSize: number, algorithm: string }} state
- * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[], algorithm: string }}
+ *
+ * With a background terrain, sets that have no all-background tile (16, 47,
+ * 256, hex) get one appended after the last tile; its descriptor carries
+ * `background: true` and no bitmask.  Corner sets already have one: the tile
+ * with no corners set.
+ *
+ * Animated slots (`state.frames[slot] = [frame0, frame1, …]`) repeat that
+ * block once per frame, stacked below it; see appendFrameBlocks().
+ *
+ * Slot variants (`state.variants[slot] = [{ image, weight }]`) add a variant
+ * region on fresh rows below the sheet; see appendVariantTiles().
+ *
+ * `state.padding = { margin, spacing, extrude }` spaces the finished sheet
+ * out (see sheetLayout()); descriptor x/y point at the padded positions.
+ *
+ * Tiles are `state.tileWidth` × `state.tileHeight` pixels; any size from 8 px
+ * up works, odd and non-square ones included.  The internal steps below pass
+ * the size around as `tileSize = { width, height }`, like the exporters.
+ *
+ * `state.orientation = 'isometric'` composes diamond tiles (see the quadrant
+ * compositor).  The sheet keeps its rectangular cells, one diamond per cell,
+ * which is how engines slice isometric tilesets.  Hex algorithms bring their
+ * own shape: their result orientation is always 'hexagonal'.
+ *
+ * `state.layout` is an optional layout template (layouts.js) that moves every
+ * tile to a fixed cell of the sheet; it only applies to the algorithm it was
+ * made for (activeLayout()).
+ *
+ * `state.blend = { feather, innerCorner, resample }` sets how the compositor
+ * joins quadrants and hex wedges — feather 0 switches images hard, more
+ * pixels cross-fade them — how synthesized inner corners merge their two
+ * edges (INNER_CORNER_STRATEGIES), and how slot images are scaled to the tile
+ * size (RESAMPLE_MODES).
+ *
+ * @param {{ images: Object, tileWidth: number, tileHeight: number, algorithm: string,
+ *           orientation?: string, blend?: Object, layout?: Object, variants?: Object,
+ *           frames?: Object, padding?: Object }} state
+ * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[], algorithm: string,
+ *            tileSize: { width: number, height: number }, orientation: string, padding: Object,
+ *            layout: Object|null }}
  */
 export function generate(state) {
-  const { images, tileSize, algorithm } = state;
-  const ts = Math.max(8, tileSize);
+  const { images, tileWidth, tileHeight, algorithm, blend = {}, variants = {}, frames = {}, padding = {} } = state;
+  const tileSize    = { width: Math.max(8, tileWidth), height: Math.max(8, tileHeight ?? tileWidth) };
+  const orientation = isHexSet(algorithm) ? 'hexagonal' : state.orientation ?? 'orthogonal';
+  const layout      = activeLayout(algorithm, state.layout);
+
+  let set = generateBlock(algorithm, images, tileSize, orientation, blend, layout);
+  set = appendFrameBlocks(set, algorithm, images, frames, tileSize, orientation, blend, layout);
+  set = appendVariantTiles(set, algorithm, images, variants, tileSize, orientation, blend, layout);
+  if (padding.margin || padding.spacing || padding.extrude) set = repadSheet(set, tileSize, {}, padding);
+  return { ...set, algorithm, tileSize, orientation, padding, layout };
+}
+
+/** The generated set plus, with a background terrain, its background tile. */
+function generateBlock(algorithm, images, tileSize, orientation, blend, layout) {
+  const set = generateSet(algorithm, images, tileSize, orientation, blend, layout);
+  if (images.background && !isCornerSet(algorithm)) {
+    return appendBackgroundTile(set, fitImage(images.background, tileSize.width, tileSize.height, blend.resample), tileSize);
+  }
+  return set;
+}
 
+function generateSet(algorithm, images, tileSize, orientation, blend, layout) {
+  const set = generateDefault(algorithm, images, tileSize, orientation, blend);
+  return layout ? applyLayout(set, algorithm, tileSize, layout) : set;
+}
+
+function generateDefault(algorithm, images, { width, height }, orientation, blend) {
   switch (algorithm) {
-    case '47': return { ...generate47(images, ts), algorithm };
+    case '47':   return generate47(images, width, height, orientation, blend);
+    case '256':  return generate256(images, width, height, orientation, blend);
+    case 'wang': return generateWang(images, width, height, orientation, blend);
+    case 'dual': return generateDual(images, width, height, orientation, blend);
+    case 'hex-pointy':
+    case 'hex-flat': return generateHex(images, width, height, hexTop(algorithm), blend);
     case '16':
-    default:   return { ...generate16(images, ts), algorithm };
+    default:     return generate16(images, width, height, orientation, blend);
+  }
+}
+
+/**
+ * Put a plain background-terrain tile in the first free cell of the sheet,
+ * growing the sheet by one row when it is full (16-tile, 256-tile).
+ */
+function appendBackgroundTile({ canvas, tiles }, background, { width, height }) {
+  const cols  = canvas.width  / width;
+  const rows  = canvas.height / height;
+  const taken = new Set(tiles.map(tile => (tile.y / height) * cols + tile.x / width));
+  let index = 0;
+  while (taken.has(index)) index++;
+
+  let out = canvas;
+  if (index >= cols * rows) {
+    out = createCanvas(canvas.width, canvas.height + height);
+    out.getContext('2d').drawImage(canvas, 0, 0);
+  }
+
+  const x = (index % cols) * width;
+  const y = Math.floor(index / cols) * height;
+  out.getContext('2d').drawImage(background, x, y, width, height);
+
+  return {
+    canvas: out,
+    tiles: [...tiles, {
+      id: tiles.length,
+      background: true,
+      x, y,
+      width, height,
+      label: 'background',
+    }],
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Animation frames
+// ─────────────────────────────────────────────────────────────
+
+/** Number of animation frames: the longest frame list, or 1 when nothing is animated. */
+export function frameCount(frames = {}) {
+  return Math.max(1, ...Object.values(frames).map(list => list?.length ?? 0));
+}
+
+/**
+ * Slot images for frame `f`.  Slots with fewer frames loop; static slots keep
+ * their single image.
+ */
+export function frameImages(images, frames = {}, f) {
+  const out = { ...images };
+  for (const [slot, list] of Object.entries(frames)) {
+    if (list?.length) out[slot] = list[f % list.length];
+  }
+  return out;
+}
+
+/**
+ * One row block per extra frame, directly below the frame-0 block and laid out
+ * the same way.  Frame descriptors copy the base tile's fields and add:
+ *   frameOf  index of the frame-0 tile in `tiles`
+ *   frame    frame number (1…)
+ */
+function appendFrameBlocks({ canvas, tiles }, algorithm, images, frames, tileSize, orientation, blend, layout) {
+  const count = frameCount(frames);
+  if (count < 2) return { canvas, tiles };
+
+  const blockH = canvas.height;
+  const out    = createCanvas(canvas.width, blockH * count);
+  const ctx    = out.getContext('2d');
+  ctx.drawImage(canvas, 0, 0);
+
+  const outTiles = [...tiles];
+  for (let f = 1; f < count; f++) {
+    const block = generateBlock(algorithm, frameImages(images, frames, f), tileSize, orientation, blend, layout);
+    ctx.drawImage(block.canvas, 0, f * blockH);
+    tiles.forEach((tile, i) => {
+      outTiles.push({
+        ...tile,
+        id: outTiles.length,
+        frameOf: i,
+        frame: f,
+        y: tile.y + f * blockH,
+        label: `${tile.label}-f${f}`,
+      });
+    });
   }
+
+  return { canvas: out, tiles: outTiles };
 }
 
 // ─────────────────────────────────────────────────────────────
-// Utility
+// Variants
 // ─────────────────────────────────────────────────────────────
 
-function createCanvas(w, h) {
-  const c = document.createElement('canvas');
-  c.width  = w;
-  c.height = h;
-  return c;
+/**
+ * Variant region.  For every slot variant the set is generated again with the
+ * variant in place of the slot image; each tile that comes out different is a
+ * variant of the base tile.  Variant descriptors copy the base tile's bitmask
+ * fields and add:
+ *   variantOf  index of the base tile in `tiles`
+ *   slot       slot the variant replaces
+ *   weight     pick weight (the base tile weighs BASE_VARIANT_WEIGHT)
+ */
+function appendVariantTiles({ canvas, tiles }, algorithm, images, variants, tileSize, orientation, blend, layout) {
+  const cols    = canvas.width / tileSize.width;
+  const baseCtx = canvas.getContext('2d');
+  const found   = [];
+
+  for (const [slot, list] of Object.entries(variants)) {
+    list.forEach((variant, k) => {
+      if (!variant.image) return;
+      const alt    = generateSet(algorithm, { ...images, [slot]: variant.image }, tileSize, orientation, blend, layout);
+      const altCtx = alt.canvas.getContext('2d');
+      alt.tiles.forEach((tile, i) => {
+        if (sameRegion(baseCtx, altCtx, tile)) return;
+        found.push({ i, source: alt.canvas, slot, k, weight: variant.weight });
+      });
+    });
+  }
+  if (!found.length) return { canvas, tiles };
+
+  const startRow = canvas.height / tileSize.height;
+  const out      = createCanvas(canvas.width, (startRow + Math.ceil(found.length / cols)) * tileSize.height);
+  const ctx      = out.getContext('2d');
+  ctx.drawImage(canvas, 0, 0);
+
+  const outTiles = [...tiles];
+  found.forEach(({ i, source, slot, k, weight }, n) => {
+    const base = tiles[i];
+    const x = (n % cols) * tileSize.width;
+    const y = (startRow + Math.floor(n / cols)) * tileSize.height;
+    ctx.drawImage(source, base.x, base.y, base.width, base.height, x, y, base.width, base.height);
+    outTiles.push({
+      ...base,
+      id: outTiles.length,
+      variantOf: i,
+      slot,
+      weight,
+      x, y,
+      label: `${base.label}-${slot}-v${k + 1}`,
+    });
+  });
+
+  return { canvas: out, tiles: outTiles };
+}
+
+/** True when the tile's pixels are identical in both contexts. */
+function sameRegion(ctxA, ctxB, { x, y, width, height }) {
+  const a = ctxA.getImageData(x, y, width, height).data;
+  const b = ctxB.getImageData(x, y, width, height).data;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Layout templates
+// ─────────────────────────────────────────────────────────────
+
+/** The mask a layout template places `tile` by (see layouts.js). */
+export function layoutKey(tile, algorithm) {
+  if (isHexSet(algorithm))                      return tile.bitmask6;
+  if (isCornerSet(algorithm))                   return tile.corners;
+  if (algorithm === '47' || algorithm === '256') return tile.bitmask8;
+  return tile.bitmask;
+}
+
+/** `layout` when it was made for `algorithm`, otherwise null (default order). */
+export function activeLayout(algorithm, layout) {
+  return layout?.algorithm === algorithm ? layout : null;
+}
+
+/**
+ * Move every tile of a freshly generated set to its template cell.  The
+ * descriptors keep their order (mask order), only x / y change.
+ *
+ * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
+ */
+export function applyLayout({ canvas, tiles }, algorithm, { width, height }, layout) {
+  const out = createCanvas(layout.columns * width, layout.rows * height);
+  const ctx = out.getContext('2d');
+  return {
+    canvas: out,
+    tiles: tiles.map(tile => {
+      const [col, row] = layout.tiles[layoutKey(tile, algorithm)];
+      const x = col * width;
+      const y = row * height;
+      ctx.drawImage(canvas, tile.x, tile.y, tile.width, tile.height, x, y, tile.width, tile.height);
+      return { ...tile, x, y };
+    }),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Re-layout
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Effective sheet layout for the padding settings.  Extruded border pixels sit
+ * in the padding, so they widen both the outer margin and the gap between
+ * tiles.  Tile (col, row) starts at margin + col × (tile width + spacing)
+ * across and margin + row × (tile height + spacing) down.
+ *
+ * @param {{ margin?: number, spacing?: number, extrude?: number }} padding
+ * @returns {{ margin: number, spacing: number }}
+ */
+export function sheetLayout({ margin = 0, spacing = 0, extrude = 0 } = {}) {
+  return { margin: margin + extrude, spacing: spacing + 2 * extrude };
+}
+
+/**
+ * Grid cell of a tile in a sheet laid out with `layout` (see sheetLayout()).
+ * @param {{ width: number, height: number }} tileSize
+ */
+export function tileCell(tile, tileSize, { margin, spacing }) {
+  return {
+    col: (tile.x - margin) / (tileSize.width  + spacing),
+    row: (tile.y - margin) / (tileSize.height + spacing),
+  };
+}
+
+/** Number of tile cells along a sheet side of `size` pixels; `tileLength` is the tile's side along it. */
+export function sheetCells(size, tileLength, { margin, spacing }) {
+  return Math.floor((size - 2 * margin + spacing) / (tileLength + spacing));
+}
+
+/**
+ * Re-pack a generated spritesheet into another cell order.
+ * `cells[i]` is the index into `tiles` drawn at cell i (row-major), or null
+ * to leave that cell transparent.  Descriptors are copied with the new x/y
+ * and keep their order, so indices such as variantOf / frameOf stay valid —
+ * which is why every tile needs a cell; an order that leaves one out throws.
+ *
+ * With `padding` the cells are spaced out per sheetLayout() and, with
+ * `padding.extrude`, every tile's border pixels are repeated outwards.
+ *
+ * @param {HTMLCanvasElement} source
+ * @param {TileDescriptor[]}  tiles
+ * @param {{ width: number, height: number }} tileSize
+ * @param {(number|null)[]}   cells
+ * @param {number}            columns
+ * @param {{ margin?: number, spacing?: number, extrude?: number }} padding
+ * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
+ */
+export function arrangeTiles(source, tiles, tileSize, cells, columns, padding = {}) {
+  const { margin, spacing } = sheetLayout(padding);
+  const extrude = padding.extrude ?? 0;
+  const pitchX  = tileSize.width  + spacing;
+  const pitchY  = tileSize.height + spacing;
+  const rows    = Math.ceil(cells.length / columns);
+  const canvas  = createCanvas(2 * margin + columns * pitchX - spacing, 2 * margin + rows * pitchY - spacing);
+  const ctx     = canvas.getContext('2d');
+  const out     = [];
+  ctx.imageSmoothingEnabled = false;
+
+  cells.forEach((tileIdx, cell) => {
+    if (tileIdx === null) return;
+    const tile = tiles[tileIdx];
+    const x = margin + (cell % columns) * pitchX;
+    const y = margin + Math.floor(cell / columns) * pitchY;
+    ctx.drawImage(source, tile.x, tile.y, tile.width, tile.height, x, y, tile.width, tile.height);
+    if (extrude) extrudeTile(ctx, source, tile, x, y, extrude);
+    out[tileIdx] = { ...tile, x, y };
+  });
+
+  const missing = tiles.findIndex((_, i) => !out[i]);
+  if (missing >= 0) throw new Error(`Tile ${missing} (${tiles[missing].label}) has no cell in the sheet`);
+  return { canvas, tiles: out };
+}
+
+/**
+ * Lay a sheet generated with padding `current` out again with `padding`,
+ * keeping every tile in its cell.
+ *
+ * @returns {{ canvas: HTMLCanvasElement, tiles: TileDescriptor[] }}
+ */
+export function repadSheet({ canvas, tiles }, tileSize, current, padding) {
+  const from    = sheetLayout(current);
+  const columns = sheetCells(canvas.width, tileSize.width, from);
+  const cells   = new Array(columns * sheetCells(canvas.height, tileSize.height, from)).fill(null);
+  tiles.forEach((tile, i) => {
+    const { col, row } = tileCell(tile, tileSize, from);
+    cells[row * columns + col] = i;
+  });
+  return arrangeTiles(canvas, tiles, tileSize, cells, columns, padding);
+}
+
+/** Repeat the outermost pixels of `tile` (drawn at x, y) `e` pixels outwards. */
+function extrudeTile(ctx, source, tile, x, y, e) {
+  const { width: w, height: h } = tile;
+  const sx = tile.x, sy = tile.y;
+  // Edges: 1-px source strips stretched over the padding
+  ctx.drawImage(source, sx,         sy,         w, 1, x,     y - e, w, e);
+  ctx.drawImage(source, sx,         sy + h - 1, w, 1, x,     y + h, w, e);
+  ctx.drawImage(source, sx,         sy,         1, h, x - e, y,     e, h);
+  ctx.drawImage(source, sx + w - 1, sy,         1, h, x + w, y,     e, h);
+  // Corners: the corner pixel fills the e × e square
+  ctx.drawImage(source, sx,         sy,         1, 1, x - e, y - e, e, e);
+  ctx.drawImage(source, sx + w - 1, sy,         1, 1, x + w, y - e, e, e);
+  ctx.drawImage(source, sx,         sy + h - 1, 1, 1, x - e, y + h, e, e);
+  ctx.drawImage(source, sx + w - 1, sy + h - 1, 1, 1, x + w, y + h, e, e);
 }
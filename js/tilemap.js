@@ -4,149 +4,985 @@
  * Renders a click-to-toggle grid of tiles using the current algorithm
  * and uploaded images.  Each cell auto-computes its neighbor bitmask
  * from the surrounding cells, so the tile variant updates in real time.
+ *
+ * Wang corner sets treat a painted cell's corner as terrain only when all four
+ * cells sharing that vertex are painted — the same rule the Unity RuleTile uses.
+ *
+ * Cells are state.tileWidth × state.tileHeight pixels, so the grid follows
+ * odd and non-square tile sizes exactly.  In isometric orientation the same
+ * grid is drawn as diamonds: column c runs down-right and row r down-left,
+ * so a cell's north neighbor sits on its upper-right side.
+ *
+ * Hex sets lay the grid out in offset coordinates: pointy-top shifts odd rows
+ * right by half a tile, flat-top shifts odd columns down, and neighbors come
+ * from computeBm6().
+ *
+ * Dual-grid sets draw a second layer offset by half a tile: each display tile
+ * sits on a vertex of the painted grid and takes its corners from the four
+ * cells around that vertex.
+ *
+ * Two brushes paint the tileset terrain and the background terrain.  Only
+ * terrain cells count as neighbors; background cells draw the background
+ * image as a plain tile, which is what the exported pair does in an engine.
+ *
+ * Tools (keyboard shortcut in brackets; keys reach the tilemap while the
+ * pointer is over it or it has focus):
+ *   pencil [B]                  toggle cells; dragging fills the gaps between events
+ *   line [L]                    straight line from the press cell
+ *   rect [R] / rect-fill [⇧R]   outlined / filled rectangle
+ *   ellipse [E] / ellipse-fill [⇧E]
+ *   fill [G]                    flood fill of the connected same-value region
+ *   picker [I]                  take the brush from a cell
+ * Shapes preview over the grid while dragging and are written to it on
+ * mouse-up, so autosave and undo never see a half-drawn shape; with Alt held
+ * shapes and fill erase.  Every tool only writes the grid — bitmasks are recomputed
+ * from it when the cells redraw.
+ *
+ * With slot variants each cell swaps at most one slot image for a variant,
+ * picked by weight from a hash of the cell position — stable across redraws.
+ *
+ * The grid can be resized up to MAX_GRID_SIZE × MAX_GRID_SIZE.  The canvas is
+ * a viewport onto it: the wheel zooms about the cursor, middle-drag or
+ * space-drag pans, and only the cells in view are drawn.  Each distinct tile
+ * (mask and variant) is composed once per state into tileCache, and a painted
+ * cell redraws only the area of itself and its neighbors — the cells whose
+ * bitmask can have changed.
+ *
+ * With animated slots a cached tile holds every animation frame, or just
+ * frame 0 when it comes out the same in all of them; an animation tick
+ * redraws only the cells in view whose tile has more than one frame.
  */
 
-import { composeQuadrants, normalize47 } from './tilegen.js';
+import { composeQuadrants, composeCorners, composeHex, normalize47, bitmask8ToCorners, splitHalf,
+         isHexSet, hexTop, hexOutline, fitImage, frameCount, frameImages, BASE_VARIANT_WEIGHT } from './tilegen.js';
+import { createCanvas } from './canvas.js';
+
+export const MAX_GRID_SIZE = 256;
+
+const ZOOM_MIN  = 1 / 16;
+const ZOOM_MAX  = 8;
+const ZOOM_STEP = 1.15;   // per wheel notch; the zoom buttons double / halve
 
-const GRID_COLS = 12;
-const GRID_ROWS = 10;
+// Cell values
+const EMPTY      = 0;
+const TERRAIN    = 1;
+const BACKGROUND = 2;
 
-/** 2-D boolean grid — true = tile present */
-let grid = makeGrid(false);
+/** 2-D grid of cell values, gridRows × gridCols */
+let gridCols = 12;
+let gridRows = 10;
+let grid  = makeGrid(EMPTY);
+let brush = TERRAIN;
+let tool  = 'pencil';   // 'pencil' | 'fill' | 'picker' | a SHAPES key
 let _state = null;
 
+// The shape being dragged, drawn over the grid until mouse-up:
+// row * MAX_GRID_SIZE + col → cell value.  null while no shape is dragged.
+let shapePreview = null;
+
+// Viewport: canvas pixel (px, py) shows grid point (x + px / zoom, y + py / zoom)
+const view = { x: 0, y: 0, zoom: 1 };
+
+// Composed tiles of the current state by key, so each distinct tile is composed
+// once: per key the animation frames, or frame 0 alone for a still tile
+let tileCache = new Map();
+let frame = 0;             // animation frame on show
+let frameQueued = false;   // a full redraw waits for the next animation frame
+
 function makeGrid(fill) {
-  return Array.from({ length: GRID_ROWS }, () => new Array(GRID_COLS).fill(fill));
+  return Array.from({ length: gridRows }, () => new Array(gridCols).fill(fill));
+}
+
+/** Value a cell shows: the dragged shape's preview, else the painted grid. */
+function cellValue(row, col) {
+  return shapePreview?.get(row * MAX_GRID_SIZE + col) ?? grid[row][col];
+}
+
+/** Cell size in pixels for the current tile settings. */
+function cellSize(state) {
+  const tw = Math.max(8, state?.tileWidth ?? 32);
+  const th = Math.max(8, state?.tileHeight ?? tw);
+  return { tw, th };
+}
+
+/**
+ * Screen geometry of the grid for the current settings:
+ *   width, height   canvas size
+ *   vertex(r, c)    grid point at the NW corner of cell (r, c) — the top
+ *                   vertex of an isometric cell
+ *   cellAt(x, y)    cell { row, col } under a canvas point (may be out of range)
+ *   dual            offset of the dual-grid layer from a cell's tile position
+ *   outline(r, c)   hex grids only: the cell's hex corners, for grid lines
+ * Tiles are drawn with their bounding box at tilePos(r, c).
+ */
+function gridGeometry(state) {
+  const { tw, th } = cellSize(state);
+  const [, halfW] = splitHalf(tw, 1);
+  const [, halfH] = splitHalf(th, 1);
+
+  if (isHexSet(state?.algorithm)) return hexGeometry(tw, th, hexTop(state.algorithm));
+
+  if (state?.orientation !== 'isometric') {
+    return {
+      tw, th,
+      width:   gridCols * tw,
+      height:  gridRows * th,
+      vertex:  (r, c) => [c * tw, r * th],
+      tilePos: (r, c) => [c * tw, r * th],
+      cellAt:  (x, y) => ({ row: Math.floor(y / th), col: Math.floor(x / tw) }),
+      // Odd sizes shift by the larger half, so the tile's smaller first half
+      // (see splitHalf()) ends on the vertex
+      dual:    [halfW, halfH],
+    };
+  }
+
+  const originX = gridRows * tw / 2;   // x of the grid's top vertex
+  const vertex  = (r, c) => [originX + (c - r) * tw / 2, (c + r) * th / 2];
+  return {
+    tw, th,
+    width:   Math.ceil((gridCols + gridRows) * tw / 2),
+    height:  Math.ceil((gridCols + gridRows) * th / 2),
+    vertex,
+    tilePos: (r, c) => {
+      const [vx, vy] = vertex(r, c);
+      return [Math.round(vx - tw / 2), Math.round(vy)];
+    },
+    cellAt:  (x, y) => {
+      const a = (x - originX) / (tw / 2);   // c − r
+      const b = y / (th / 2);               // c + r
+      return { row: Math.floor((b - a) / 2), col: Math.floor((a + b) / 2) };
+    },
+    // A display tile sits on the vertex below its cell: half a cell along
+    // both grid axes is straight down on screen
+    dual:    [0, halfH],
+  };
+}
+
+/**
+ * gridGeometry() for a hex grid.  Rows (pointy-top) or columns (flat-top)
+ * advance by three quarters of a tile, so hexes share their slanted sides.
+ */
+function hexGeometry(tw, th, top) {
+  const pointy  = top === 'pointy';
+  const tilePos = pointy
+    ? (r, c) => [Math.round(c * tw + (r & 1) * tw / 2), Math.round(r * th * 3 / 4)]
+    : (r, c) => [Math.round(c * tw * 3 / 4), Math.round(r * th + (c & 1) * th / 2)];
+  // In units where the hexes are regular, the nearest centre owns the point
+  const [su, sv] = pointy ? [Math.sqrt(3) / tw, 2 / th] : [2 / tw, Math.sqrt(3) / th];
+
+  return {
+    tw, th,
+    width:   Math.ceil(pointy ? gridCols * tw + tw / 2 : (gridCols - 1) * tw * 3 / 4 + tw),
+    height:  Math.ceil(pointy ? (gridRows - 1) * th * 3 / 4 + th : gridRows * th + th / 2),
+    tilePos,
+    outline: (r, c) => hexOutline(...tilePos(r, c), tw, th, top),
+    cellAt:  (x, y) => {
+      const r0 = Math.floor(y / (pointy ? th * 3 / 4 : th));
+      const c0 = Math.floor(x / (pointy ? tw : tw * 3 / 4));
+      let best = null;
+      let bestDist = Infinity;
+      for (let row = r0 - 1; row <= r0 + 1; row++) {
+        for (let col = c0 - 1; col <= c0 + 1; col++) {
+          const [tx, ty] = tilePos(row, col);
+          const dist = ((x - tx - tw / 2) * su) ** 2 + ((y - ty - th / 2) * sv) ** 2;
+          if (dist < bestDist) { bestDist = dist; best = { row, col }; }
+        }
+      }
+      return best;
+    },
+  };
 }
 
 // ─────────────────────────────────────────────────────────────
 // Bitmask helpers
 // ─────────────────────────────────────────────────────────────
 
+/** True when (row, col) is inside the grid and painted with the tileset terrain. */
+function isTerrain(row, col) {
+  return row >= 0 && row < gridRows && col >= 0 && col < gridCols && cellValue(row, col) === TERRAIN;
+}
+
 function computeBm4(row, col) {
-  const hasN = row > 0              && grid[row - 1][col];
-  const hasE = col < GRID_COLS - 1  && grid[row][col + 1];
-  const hasS = row < GRID_ROWS - 1  && grid[row + 1][col];
-  const hasW = col > 0              && grid[row][col - 1];
+  const hasN = isTerrain(row - 1, col);
+  const hasE = isTerrain(row, col + 1);
+  const hasS = isTerrain(row + 1, col);
+  const hasW = isTerrain(row, col - 1);
   return (hasN ? 0x1 : 0) | (hasE ? 0x2 : 0) | (hasS ? 0x4 : 0) | (hasW ? 0x8 : 0);
 }
 
 function computeBm8(row, col) {
+  return normalize47(computeRawBm8(row, col));
+}
+
+/** All 8 neighbors, diagonals kept even without both cardinals (256-tile). */
+function computeRawBm8(row, col) {
   const bm4 = computeBm4(row, col);
   const N = !!(bm4 & 0x1), E = !!(bm4 & 0x2), S = !!(bm4 & 0x4), W = !!(bm4 & 0x8);
-  const NE = N && E && row > 0             && col < GRID_COLS - 1 && grid[row - 1][col + 1];
-  const SE = S && E && row < GRID_ROWS - 1 && col < GRID_COLS - 1 && grid[row + 1][col + 1];
-  const SW = S && W && row < GRID_ROWS - 1 && col > 0             && grid[row + 1][col - 1];
-  const NW = N && W && row > 0             && col > 0             && grid[row - 1][col - 1];
+  const NE = isTerrain(row - 1, col + 1);
+  const SE = isTerrain(row + 1, col + 1);
+  const SW = isTerrain(row + 1, col - 1);
+  const NW = isTerrain(row - 1, col - 1);
   let bm8 = (N ? 0x01 : 0) | (E ? 0x04 : 0) | (S ? 0x10 : 0) | (W ? 0x40 : 0);
   if (NE) bm8 |= 0x02;
   if (SE) bm8 |= 0x08;
   if (SW) bm8 |= 0x20;
   if (NW) bm8 |= 0x80;
-  return normalize47(bm8);
+  return bm8;
+}
+
+/**
+ * The six cells around a hex cell as [row, col], in bitmask6 side order (see
+ * tilegen.js).  Offset-coordinate neighbors depend on the parity of the
+ * shifted row (pointy) or column (flat).
+ */
+function hexNeighbors(row, col, top) {
+  const odd = top === 'pointy' ? row & 1 : col & 1;
+  return top === 'pointy'
+    ? [[-1, col + odd], [0, col + 1], [1, col + odd], [1, col + odd - 1], [0, col - 1], [-1, col + odd - 1]]
+        .map(([dr, c]) => [row + dr, c])
+    : [[row - 1, col], [row + odd - 1, col + 1], [row + odd, col + 1],
+       [row + 1, col], [row + odd, col - 1], [row + odd - 1, col - 1]];
+}
+
+/** Hex side mask in bitmask6 order. */
+function computeBm6(row, col, top) {
+  return hexNeighbors(row, col, top).reduce((bm6, [r, c], side) => bm6 | (isTerrain(r, c) ? 1 << side : 0), 0);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Variants
+// ─────────────────────────────────────────────────────────────
+
+/** Stable pseudo-random number in [0, 1) for a cell. */
+function cellHash(row, col) {
+  let h = Math.imul(row + 0x9e37, 0x85ebca6b) ^ Math.imul(col + 0x7f4a, 0xc2b2ae35);
+  h ^= h >>> 16;
+  h  = Math.imul(h, 0x27d4eb2d);
+  h ^= h >>> 15;
+  return (h >>> 0) / 4294967296;
+}
+
+/** Every variant image of the state as { slot, image, weight }. */
+function variantOptions(state) {
+  const options = [];
+  for (const [slot, list] of Object.entries(state.variants ?? {})) {
+    list.forEach(v => { if (v.image) options.push({ slot, image: v.image, weight: v.weight }); });
+  }
+  return options;
+}
+
+/** Index into `options` of the variant a cell shows, or −1 for the base set. */
+function cellVariant(options, row, col) {
+  if (!options.length) return -1;
+  const total = options.reduce((sum, o) => sum + o.weight, BASE_VARIANT_WEIGHT);
+  let roll = cellHash(row, col) * total - BASE_VARIANT_WEIGHT;
+  if (roll < 0) return -1;
+  for (let k = 0; k < options.length; k++) {
+    roll -= options[k].weight;
+    if (roll < 0) return k;
+  }
+  return -1;
+}
+
+/**
+ * Slot images of animation frame `f` for variant `k`: the frame's set, or the
+ * frame's set with one slot swapped.
+ */
+function variantImages(state, options, k, f) {
+  const images = frameImages(state.images, state.frames, f);
+  if (k < 0) return images;
+  const { slot, image } = options[k];
+  return { ...images, [slot]: image };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Grid contents (project files)
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * The painted grid as plain data.
+ * @returns {{ columns: number, rows: number, cells: number[] }}  cells row-major
+ */
+export function getTilemap() {
+  return { columns: gridCols, rows: gridRows, cells: grid.flat() };
+}
+
+/**
+ * Replace the painted grid, taking its size (at most MAX_GRID_SIZE a side).
+ * Missing cells stay empty and unknown values read as empty.  Does not redraw.
+ * @param {{ columns: number, rows: number, cells: number[] }|null} tilemap
+ */
+export function setTilemap(tilemap) {
+  const { columns = gridCols, rows = gridRows, cells = [] } = tilemap ?? {};
+  setGridSize(columns, rows);
+  grid = makeGrid(EMPTY);
+  if (!Array.isArray(cells)) return;
+  for (let r = 0; r < gridRows; r++) {
+    for (let c = 0; c < gridCols; c++) {
+      const v = cells[r * columns + c];
+      if (v === TERRAIN || v === BACKGROUND) grid[r][c] = v;
+    }
+  }
+}
+
+/** Resize the grid, keeping the cells that still fit; reflected in the size inputs. */
+function setGridSize(columns, rows) {
+  const clamp = n => Math.min(MAX_GRID_SIZE, Math.max(1, Math.round(n) || 1));
+  const old   = grid;
+  gridCols = clamp(columns);
+  gridRows = clamp(rows);
+  grid = makeGrid(EMPTY);
+  old.slice(0, gridRows).forEach((row, r) => row.slice(0, gridCols).forEach((v, c) => { grid[r][c] = v; }));
+
+  const colsInput = document.getElementById('tilemap-cols');
+  const rowsInput = document.getElementById('tilemap-rows');
+  if (colsInput) colsInput.value = gridCols;
+  if (rowsInput) rowsInput.value = gridRows;
 }
 
 // ─────────────────────────────────────────────────────────────
 // Render
 // ─────────────────────────────────────────────────────────────
 
-export function renderTilemap(state) {
-  _state = state;
+/**
+ * Redraw everything in view for a new state (settings or images), at
+ * animation frame `f`.  Animated slots come from state.frames.
+ */
+export function renderTilemap(state, f = 0) {
+  _state    = state;
+  frame     = f;
+  tileCache = new Map();
+  redraw();
+}
+
+/**
+ * Show animation frame `f`.  Only the cells in view whose tile animates are
+ * drawn again, from tileCache — unless the redraws around them would draw
+ * more cells than one full redraw.
+ */
+export function renderTilemapFrame(f) {
+  frame = f;
   const canvas = document.getElementById('tilemap-canvas');
-  if (!canvas) return;
+  if (!canvas || !_state || frameCount(_state.frames) < 2) return;
+  const { x, y, zoom } = view;
+  const geo   = gridGeometry(_state);
+  const layer = tileLayer(geo, _state);
+  const range = cellRange(geo, { x, y, w: canvas.width / zoom, h: canvas.height / zoom });
+
+  const areas = [];
+  forEachTile(layer, range, (tile, r, c) => {
+    if (cachedFrames(tile, geo, _state, layer.options).length > 1) areas.push(tileArea(geo, layer, r, c));
+  });
+  const cellCount = ({ r0, r1, c0, c1 }) => (r1 - r0 + 1) * (c1 - c0 + 1);
+  const partial   = areas.reduce((sum, area) => sum + cellCount(cellRange(geo, area)), 0);
+  if (partial >= cellCount(range)) redraw();
+  else                             areas.forEach(area => redraw(area));
+}
 
-  const ts = Math.max(8, state.tileSize);
-  canvas.width  = GRID_COLS * ts;
-  canvas.height = GRID_ROWS * ts;
+/**
+ * Redraw the part of the canvas showing grid-space rectangle `area`
+ * ({ x, y, w, h }), or all of it.  Every cell whose tile reaches into the
+ * area is drawn again, clipped to it, in the same order as a full redraw, so
+ * tiles overlapping the edge (isometric, hex, dual) come out the same.
+ */
+function redraw(area = null) {
+  const canvas = document.getElementById('tilemap-canvas');
+  if (!canvas || !_state) return;
+  fitCanvas(canvas);
+  const { x, y, zoom } = view;
+
+  // Clip to whole canvas pixels so repaired areas have no soft seams
+  const sx0 = area ? Math.max(0, Math.floor((area.x - x) * zoom)) : 0;
+  const sy0 = area ? Math.max(0, Math.floor((area.y - y) * zoom)) : 0;
+  const sx1 = area ? Math.min(canvas.width,  Math.ceil((area.x + area.w - x) * zoom)) : canvas.width;
+  const sy1 = area ? Math.min(canvas.height, Math.ceil((area.y + area.h - y) * zoom)) : canvas.height;
+  if (sx1 <= sx0 || sy1 <= sy0) return;
 
   const ctx = canvas.getContext('2d');
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(sx0, sy0, sx1 - sx0, sy1 - sy0);
+  ctx.clip();
+  ctx.clearRect(sx0, sy0, sx1 - sx0, sy1 - sy0);
+  ctx.setTransform(zoom, 0, 0, zoom, -x * zoom, -y * zoom);
+  ctx.imageSmoothingEnabled = false;
+
+  const state = _state;
+  const geo   = gridGeometry(state);
+  const range = cellRange(geo, { x: x + sx0 / zoom, y: y + sy0 / zoom,
+                                 w: (sx1 - sx0) / zoom, h: (sy1 - sy0) / zoom });
 
   // Grid background
   ctx.fillStyle = '#141414';
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillRect(0, 0, geo.width, geo.height);
 
-  // Grid lines
-  ctx.strokeStyle = '#2a2a2a';
-  ctx.lineWidth = 0.5;
-  for (let r = 0; r <= GRID_ROWS; r++) {
-    ctx.beginPath();
-    ctx.moveTo(0,              r * ts);
-    ctx.lineTo(GRID_COLS * ts, r * ts);
-    ctx.stroke();
-  }
-  for (let c = 0; c <= GRID_COLS; c++) {
-    ctx.beginPath();
-    ctx.moveTo(c * ts, 0);
-    ctx.lineTo(c * ts, GRID_ROWS * ts);
-    ctx.stroke();
+  // Grid lines, while cells are large enough on screen to show them
+  if (Math.min(geo.tw, geo.th) * zoom >= 4) {
+    ctx.strokeStyle = '#2a2a2a';
+    ctx.lineWidth = 0.5;
+    renderGridLines(ctx, geo, range);
   }
 
   // Tiles
-  const is47 = state.algorithm === '47';
-  for (let r = 0; r < GRID_ROWS; r++) {
-    for (let c = 0; c < GRID_COLS; c++) {
-      if (!grid[r][c]) continue;
-      const tx  = c * ts;
-      const ty  = r * ts;
-      const bm4 = computeBm4(r, c);
-      const bm8 = is47 ? computeBm8(r, c) : 0;
-      composeQuadrants(ctx, tx, ty, ts, bm4, state.images, bm8);
+  const layer = tileLayer(geo, state);
+  forEachTile(layer, range, (tile, r, c) => {
+    const frames = cachedFrames(tile, geo, state, layer.options);
+    const { x: tx, y: ty } = tileArea(geo, layer, r, c);
+    ctx.drawImage(frames[frame % frames.length], tx, ty);
+  });
+  ctx.restore();
+
+  const label = document.getElementById('tilemap-zoom-label');
+  if (label) label.textContent = `${+zoom.toFixed(2)}×`;
+}
+
+/** Full redraw on the next animation frame; wheel and resize events come in bursts. */
+function queueRedraw() {
+  if (frameQueued) return;
+  frameQueued = true;
+  requestAnimationFrame(() => {
+    frameQueued = false;
+    redraw();
+  });
+}
+
+/** Match the canvas's backing store to its size on the page. */
+function fitCanvas(canvas) {
+  const w = Math.max(1, Math.round(canvas.clientWidth)  || 1);
+  const h = Math.max(1, Math.round(canvas.clientHeight) || 1);
+  if (canvas.width  !== w) canvas.width  = w;
+  if (canvas.height !== h) canvas.height = h;
+}
+
+/**
+ * Rows and columns of every cell whose tile can reach into grid-space
+ * rectangle `area`, clamped to the grid.  Cell lookup is affine (or close to
+ * it for hexes), so the extremes come from the corners of the area grown by a
+ * tile, plus one cell of slack.
+ */
+function cellRange(geo, area) {
+  const { tw, th } = geo;
+  const x0 = area.x - tw, x1 = area.x + area.w + tw;
+  const y0 = area.y - th, y1 = area.y + area.h + th;
+  const corners = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]].map(([x, y]) => geo.cellAt(x, y));
+  const rows = corners.map(c => c.row);
+  const cols = corners.map(c => c.col);
+  return {
+    r0: Math.max(0, Math.min(...rows) - 1), r1: Math.min(gridRows - 1, Math.max(...rows) + 1),
+    c0: Math.max(0, Math.min(...cols) - 1), c1: Math.min(gridCols - 1, Math.max(...cols) + 1),
+  };
+}
+
+/** Grid-space rectangle covering the tiles of `cells` and of their neighbors. */
+function cellsArea(geo, cells) {
+  const { tw, th } = geo;
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  cells.forEach(({ row, col }) => {
+    const [tx, ty] = geo.tilePos(row, col);
+    x0 = Math.min(x0, tx); y0 = Math.min(y0, ty);
+    x1 = Math.max(x1, tx + tw); y1 = Math.max(y1, ty + th);
+  });
+  // One tile each way holds every neighbor; the dual layer adds its half-tile offset
+  return { x: x0 - tw * 1.5, y: y0 - th * 1.5, w: x1 - x0 + tw * 3, h: y1 - y0 + th * 3 };
+}
+
+function renderGridLines(ctx, geo, { r0, r1, c0, c1 }) {
+  ctx.beginPath();
+  if (geo.outline) {
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const [first, ...rest] = geo.outline(r, c);
+        ctx.moveTo(...first);
+        rest.forEach(([x, y]) => ctx.lineTo(x, y));
+        ctx.closePath();
+      }
+    }
+  } else {
+    for (let r = r0; r <= r1 + 1; r++) {
+      ctx.moveTo(...geo.vertex(r, c0));
+      ctx.lineTo(...geo.vertex(r, c1 + 1));
+    }
+    for (let c = c0; c <= c1 + 1; c++) {
+      ctx.moveTo(...geo.vertex(r0, c));
+      ctx.lineTo(...geo.vertex(r1 + 1, c));
     }
   }
+  ctx.stroke();
+}
+
+/**
+ * The tiles of the current set.  tileAt(r, c) is the tile drawn for cell
+ * (r, c) — { key, k, compose(ctx, images) } with k the variant (see
+ * cellVariant()), or null — at the cell's tilePos() moved by `offset`.
+ * Rows and columns start at `start`.
+ */
+function tileLayer(geo, state) {
+  const options = variantOptions(state);
+  if (geo.outline) {
+    return { options, start: 0, offset: [0, 0], tileAt: (r, c) => hexTile(geo, state, options, r, c) };
+  }
+  if (state.algorithm === 'dual') {
+    return { options, start: -1, offset: geo.dual, tileAt: (r, c) => dualTile(geo, state, options, r, c) };
+  }
+  return { options, start: 0, offset: [0, 0], tileAt: (r, c) => squareTile(geo, state, options, r, c) };
+}
+
+/** fn(tile, r, c) for every cell of `range` that shows a tile, in drawing order. */
+function forEachTile(layer, { r0, r1, c0, c1 }, fn) {
+  for (let r = r0 === 0 ? layer.start : r0; r <= r1; r++) {
+    for (let c = c0 === 0 ? layer.start : c0; c <= c1; c++) {
+      const tile = layer.tileAt(r, c);
+      if (tile) fn(tile, r, c);
+    }
+  }
+}
+
+/** Grid-space rectangle of the tile drawn for cell (r, c). */
+function tileArea(geo, layer, r, c) {
+  const [tx, ty] = geo.tilePos(r, c);
+  return { x: tx + layer.offset[0], y: ty + layer.offset[1], w: geo.tw, h: geo.th };
+}
+
+/**
+ * The animation frames of a tile from tileCache, composed on first use.  A
+ * tile that comes out the same in every frame keeps frame 0 alone.
+ */
+function cachedFrames(tile, { tw, th }, state, options) {
+  let frames = tileCache.get(tile.key);
+  if (!frames) {
+    frames = Array.from({ length: frameCount(state.frames) }, (_, f) => {
+      const canvas = createCanvas(tw, th);
+      tile.compose(canvas.getContext('2d'), variantImages(state, options, tile.k, f));
+      return canvas;
+    });
+    if (frames.every(t => sameTile(t, frames[0]))) frames.length = 1;
+    tileCache.set(tile.key, frames);
+  }
+  return frames;
+}
+
+/** True when two composed tiles have identical pixels. */
+function sameTile(a, b) {
+  if (a === b) return true;
+  const pa = a.getContext('2d').getImageData(0, 0, a.width, a.height).data;
+  const pb = b.getContext('2d').getImageData(0, 0, b.width, b.height).data;
+  for (let i = 0; i < pa.length; i++) if (pa[i] !== pb[i]) return false;
+  return true;
+}
+
+/** Square and isometric grids: quadrant tiles, or corner tiles for Wang sets. */
+function squareTile({ tw, th }, state, options, r, c) {
+  const value = cellValue(r, c);
+  if (value === EMPTY) return null;
+  if (value === BACKGROUND) {
+    if (!state.images.background) return null;
+    return { key: 'background', k: -1, compose: (t, imgs) => {
+      t.imageSmoothingEnabled = false;
+      t.drawImage(fitImage(imgs.background, tw, th, state.blend.resample), 0, 0, tw, th);
+    } };
+  }
+  const k = cellVariant(options, r, c);
+  if (state.algorithm === 'wang') {
+    const corners = bitmask8ToCorners(computeBm8(r, c));
+    return { key: `wang/${corners}/${k}`, k, compose: (t, imgs) =>
+      composeCorners(t, 0, 0, tw, th, corners, imgs, state.orientation, state.blend) };
+  }
+  const bm4 = computeBm4(r, c);
+  const bm8 = state.algorithm === '47' ? computeBm8(r, c) : state.algorithm === '256' ? computeRawBm8(r, c) : 0;
+  return { key: `quad/${bm4}/${bm8}/${k}`, k, compose: (t, imgs) =>
+    composeQuadrants(t, 0, 0, tw, th, bm4, imgs, bm8, state.orientation, state.blend) };
+}
+
+/** Hex tiles; background cells are hex-shaped like the tiles. */
+function hexTile({ tw, th }, state, options, r, c) {
+  const value = cellValue(r, c);
+  if (value === EMPTY) return null;
+  const top = hexTop(state.algorithm);
+  if (value === BACKGROUND) {
+    if (!state.images.background) return null;
+    return { key: 'hex/background', k: -1, compose: (t, imgs) =>
+      composeHex(t, 0, 0, tw, th, 0x3F, { main: imgs.background }, top, state.blend) };
+  }
+  const k   = cellVariant(options, r, c);
+  const bm6 = computeBm6(r, c, top);
+  return { key: `hex/${bm6}/${k}`, k, compose: (t, imgs) =>
+    composeHex(t, 0, 0, tw, th, bm6, imgs, top, state.blend) };
+}
+
+/**
+ * Tile of the offset display layer.  Display tile (r, c) is centred on the
+ * vertex shared by world cells (r, c)…(r+1, c+1), so it is drawn half a cell
+ * further along both grid axes than world cell (r, c) (gridGeometry().dual);
+ * the layer starts at row/column −1 so the outer halves of border cells are
+ * covered too.  Vertices touching only background cells still get the
+ * (all-background) empty corner tile.
+ */
+function dualTile({ tw, th }, state, options, r, c) {
+  const isBg = (r, c) => r >= 0 && r < gridRows && c >= 0 && c < gridCols && cellValue(r, c) === BACKGROUND;
+  const corners = (isTerrain(r,     c + 1) ? 0x1 : 0)   // NE
+                | (isTerrain(r + 1, c + 1) ? 0x2 : 0)   // SE
+                | (isTerrain(r + 1, c)     ? 0x4 : 0)   // SW
+                | (isTerrain(r,     c)     ? 0x8 : 0);  // NW
+  if (!corners && !(isBg(r, c) || isBg(r, c + 1) || isBg(r + 1, c) || isBg(r + 1, c + 1))) return null;
+  const k = cellVariant(options, r, c);
+  return { key: `dual/${corners}/${k}`, k, compose: (t, imgs) =>
+    composeCorners(t, 0, 0, tw, th, corners, imgs, state.orientation, state.blend) };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Tools — the cells each one covers
+// ─────────────────────────────────────────────────────────────
+
+/** Cells from `a` to `b` (Bresenham), both ends included. */
+function lineCells(a, b) {
+  const cells = [];
+  const dc = Math.abs(b.col - a.col), sc = a.col < b.col ? 1 : -1;
+  const dr = -Math.abs(b.row - a.row), sr = a.row < b.row ? 1 : -1;
+  let { row, col } = a;
+  let err = dc + dr;
+  for (;;) {
+    cells.push({ row, col });
+    if (row === b.row && col === b.col) return cells;
+    const e2 = 2 * err;
+    if (e2 >= dr) { err += dr; col += sc; }
+    if (e2 <= dc) { err += dc; row += sr; }
+  }
+}
+
+/** Cells of the box with corners `a` and `b` that `inside(dr, dc)` keeps; dr, dc from the box centre. */
+function boxCells(a, b, inside) {
+  const r0 = Math.min(a.row, b.row), r1 = Math.max(a.row, b.row);
+  const c0 = Math.min(a.col, b.col), c1 = Math.max(a.col, b.col);
+  const cr = (r0 + r1) / 2, cc = (c0 + c1) / 2;
+  const ry = (r1 - r0) / 2 + 0.5, rx = (c1 - c0) / 2 + 0.5;   // half-sizes to the outer cell edges
+  const cells = [];
+  for (let row = r0; row <= r1; row++) {
+    for (let col = c0; col <= c1; col++) {
+      if (inside(row - cr, col - cc, ry, rx)) cells.push({ row, col });
+    }
+  }
+  return cells;
+}
+
+/** Cells of the ellipse filling the box with corners `a` and `b`. */
+function ellipseCells(a, b, filled) {
+  const inEllipse = (dr, dc, ry, rx) => (dr / ry) ** 2 + (dc / rx) ** 2 <= 1;
+  return boxCells(a, b, (dr, dc, ry, rx) => inEllipse(dr, dc, ry, rx) &&
+    // Outline: cells with a side neighbor outside the ellipse
+    (filled || !inEllipse(dr - 1, dc, ry, rx) || !inEllipse(dr + 1, dc, ry, rx) ||
+               !inEllipse(dr, dc - 1, ry, rx) || !inEllipse(dr, dc + 1, ry, rx)));
+}
+
+// Shape tools: cells covered between the press cell `a` and the current cell `b`
+const SHAPES = {
+  'line':         lineCells,
+  'rect':         (a, b) => boxCells(a, b, (dr, dc, ry, rx) => Math.abs(dr) > ry - 1 || Math.abs(dc) > rx - 1),
+  'rect-fill':    (a, b) => boxCells(a, b, () => true),
+  'ellipse':      (a, b) => ellipseCells(a, b, false),
+  'ellipse-fill': (a, b) => ellipseCells(a, b, true),
+};
+
+// Keyboard shortcuts (event.key, so Shift gives the upper-case key)
+const TOOL_KEYS = { b: 'pencil', l: 'line', r: 'rect', R: 'rect-fill', e: 'ellipse', E: 'ellipse-fill',
+                    g: 'fill', i: 'picker' };
+
+/**
+ * The connected region of `start`'s value — through hex sides on hex grids,
+ * cardinal sides otherwise, the same neighbors the bitmasks read.
+ */
+function floodCells(start, state) {
+  const value = grid[start.row][start.col];
+  const top   = isHexSet(state?.algorithm) ? hexTop(state.algorithm) : null;
+  const seen  = new Uint8Array(gridRows * gridCols);
+  const cells = [];
+  const queue = [[start.row, start.col]];
+  seen[start.row * gridCols + start.col] = 1;
+  while (queue.length) {
+    const [row, col] = queue.pop();
+    cells.push({ row, col });
+    const next = top ? hexNeighbors(row, col, top)
+                     : [[row - 1, col], [row, col + 1], [row + 1, col], [row, col - 1]];
+    next.forEach(([r, c]) => {
+      if (r < 0 || r >= gridRows || c < 0 || c >= gridCols) return;
+      if (seen[r * gridCols + c] || grid[r][c] !== value) return;
+      seen[r * gridCols + c] = 1;
+      queue.push([r, c]);
+    });
+  }
+  return cells;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Viewport
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Pan by (dx, dy) canvas pixels: the drawn image moves with the view and only
+ * the strips it uncovers are drawn, so panning stays cheap when zoomed out.
+ */
+function panBy(dx, dy) {
+  const canvas = document.getElementById('tilemap-canvas');
+  if (!canvas || (!dx && !dy)) return;
+  view.x -= dx / view.zoom;
+  view.y -= dy / view.zoom;
+
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.globalCompositeOperation = 'copy';
+  ctx.drawImage(canvas, dx, dy);
+  ctx.restore();
+
+  const { x, y, zoom } = view;
+  const w = canvas.width / zoom, h = canvas.height / zoom;
+  if (dx > 0) redraw({ x, y, w: dx / zoom, h });
+  if (dx < 0) redraw({ x: x + w + dx / zoom, y, w: -dx / zoom, h });
+  if (dy > 0) redraw({ x, y, w, h: dy / zoom });
+  if (dy < 0) redraw({ x, y: y + h + dy / zoom, w, h: -dy / zoom });
+}
+
+/** Zoom by `factor`, keeping canvas point (px, py) over the same grid point. */
+function zoomAt(factor, px, py) {
+  const zoom = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, view.zoom * factor));
+  view.x += px / view.zoom - px / zoom;
+  view.y += py / view.zoom - py / zoom;
+  view.zoom = zoom;
+  queueRedraw();
 }
 
 // ─────────────────────────────────────────────────────────────
 // Init — wires up click/drag + control buttons
 // ─────────────────────────────────────────────────────────────
 
-export function initTilemap(onChange) {
+/**
+ * @param {function(): void} onChange  after every edit of the grid — for a shape
+ *                                     only once it is committed on mouse-up; the
+ *                                     tilemap redraws the changed cells itself
+ * @param {function(): void} onStroke  once per finished edit: a drag stroke or
+ *                                     shape on mouse-up, a flood fill, Clear,
+ *                                     Fill All, resize (undo history)
+ * @param {function(string): void} onBeforeReplace  just before Clear ('clear') or
+ *                                     Fill All ('fill') overwrite every cell
+ */
+export function initTilemap(onChange, onStroke = () => {}, onBeforeReplace = () => {}) {
   const canvas = document.getElementById('tilemap-canvas');
   if (!canvas) return;
 
   let isDrawing = false;
-  let drawValue = true; // true = place, false = erase
+  let isDirty   = false;   // the current stroke changed a cell
+  let drawValue = TERRAIN; // value written while dragging; EMPTY = erase
+  let lastCell  = null;    // pencil: cell of the previous event
+  let shape     = null;    // { start, cells } while dragging a shape
+  let pan       = null;    // { x, y } of the last pointer position while panning
+  let spaceDown = false;
+  let hovered   = false;
 
-  function cellAt(e) {
-    const ts   = _state ? Math.max(8, _state.tileSize) : 32;
+  /** Keyboard input is the tilemap's while the pointer is over the canvas or it has focus. */
+  const ownsKeys = e => (hovered || document.activeElement === canvas) && !e.target.matches?.('input, select, textarea');
+
+  /** Canvas pixel under the pointer. */
+  function canvasPoint(e) {
     const rect = canvas.getBoundingClientRect();
-    const sx   = canvas.width  / rect.width;
-    const sy   = canvas.height / rect.height;
-    const x    = (e.clientX - rect.left) * sx;
-    const y    = (e.clientY - rect.top)  * sy;
-    const row  = Math.floor(y / ts);
-    const col  = Math.floor(x / ts);
-    if (row < 0 || row >= GRID_ROWS || col < 0 || col >= GRID_COLS) return null;
+    return [(e.clientX - rect.left) * canvas.width  / rect.width,
+            (e.clientY - rect.top)  * canvas.height / rect.height];
+  }
+
+  function cellAt(e) {
+    const [px, py] = canvasPoint(e);
+    const { row, col } = gridGeometry(_state).cellAt(view.x + px / view.zoom, view.y + py / view.zoom);
+    if (row < 0 || row >= gridRows || col < 0 || col >= gridCols) return null;
     return { row, col };
   }
 
+  function paint(cells) {
+    cells = cells.filter(({ row, col }) => grid[row][col] !== drawValue);
+    if (!cells.length) return;
+    cells.forEach(({ row, col }) => { grid[row][col] = drawValue; });
+    isDirty = true;
+    redraw(cellsArea(gridGeometry(_state), cells));
+    onChange();
+  }
+
+  /** Replace the previewed shape with the one from shape.start to `end`; the grid is left alone. */
+  function drawShape(end) {
+    const old = shape.cells;
+    shape.cells  = SHAPES[tool](shape.start, end);
+    shapePreview = new Map(shape.cells.map(({ row, col }) => [row * MAX_GRID_SIZE + col, drawValue]));
+    redraw(cellsArea(gridGeometry(_state), [...old, ...shape.cells]));
+  }
+
+  function floodFill(cell, value) {
+    if (grid[cell.row][cell.col] === value) return;
+    floodCells(cell, _state).forEach(({ row, col }) => { grid[row][col] = value; });
+    redraw();
+    onChange();
+    onStroke();
+  }
+
+  /** Whole-grid edits: Clear, Fill All, resize. */
+  function replaceAll() {
+    redraw();
+    onChange();
+    onStroke();
+  }
+
   canvas.addEventListener('mousedown', e => {
-    isDrawing = true;
+    // Middle button, or any button with space held, pans the view
+    if (e.button === 1 || spaceDown) {
+      e.preventDefault();
+      pan = { x: e.clientX, y: e.clientY };
+      canvas.style.cursor = 'grabbing';
+      return;
+    }
+    if (e.button !== 0) return;
     const cell = cellAt(e);
     if (!cell) return;
-    drawValue = !grid[cell.row][cell.col];
-    grid[cell.row][cell.col] = drawValue;
-    onChange();
+    const value = grid[cell.row][cell.col];
+
+    if (tool === 'picker') {
+      if (value !== EMPTY) setBrush(value);
+    } else if (tool === 'fill') {
+      floodFill(cell, e.altKey ? EMPTY : brush);
+    } else if (tool === 'pencil') {
+      // Clicking a cell already painted with the current brush erases it
+      isDrawing = true;
+      drawValue = value === brush ? EMPTY : brush;
+      lastCell  = cell;
+      paint([cell]);
+    } else {
+      isDrawing = true;
+      drawValue = e.altKey ? EMPTY : brush;
+      shape     = { start: cell, cells: [] };
+      drawShape(cell);
+    }
   });
 
   canvas.addEventListener('mousemove', e => {
+    if (pan) {
+      // Whole canvas pixels, so the moved image stays aligned with the grid
+      const rect = canvas.getBoundingClientRect();
+      const dx   = Math.round((e.clientX - pan.x) * canvas.width  / rect.width);
+      const dy   = Math.round((e.clientY - pan.y) * canvas.height / rect.height);
+      pan = { x: pan.x + dx * rect.width / canvas.width, y: pan.y + dy * rect.height / canvas.height };
+      panBy(dx, dy);
+      return;
+    }
     if (!isDrawing) return;
     const cell = cellAt(e);
     if (!cell) return;
-    if (grid[cell.row][cell.col] === drawValue) return;
-    grid[cell.row][cell.col] = drawValue;
-    onChange();
+    if (shape) {
+      drawShape(cell);
+    } else {
+      // Fast drags skip cells between events; draw the line through them
+      paint(lastCell ? lineCells(lastCell, cell) : [cell]);
+      lastCell = cell;
+    }
+  });
+
+  window.addEventListener('mouseup', () => {
+    if (pan) {
+      pan = null;
+      canvas.style.cursor = spaceDown ? 'grab' : '';
+    }
+    if (shape) {
+      // Write the previewed shape into the grid; it looks the same, so no redraw.
+      // Cells an undo shrank the grid away from in mid-drag are dropped.
+      const cells = shape.cells.filter(({ row, col }) =>
+        row < gridRows && col < gridCols && grid[row][col] !== drawValue);
+      cells.forEach(({ row, col }) => { grid[row][col] = drawValue; });
+      shape = shapePreview = null;
+      isDirty = cells.length > 0;
+      if (isDirty) onChange();
+    }
+    isDrawing = false;
+    lastCell  = null;
+    if (isDirty) onStroke();
+    isDirty = false;
   });
 
-  window.addEventListener('mouseup', () => { isDrawing = false; });
+  canvas.addEventListener('wheel', e => {
+    e.preventDefault();
+    zoomAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, ...canvasPoint(e));
+  }, { passive: false });
+
+  // Space-drag panning while the pointer is over the tilemap
+  canvas.addEventListener('mouseenter', () => { hovered = true; });
+  canvas.addEventListener('mouseleave', () => { hovered = false; });
+  window.addEventListener('keydown', e => {
+    if (e.code !== 'Space' || !ownsKeys(e)) return;
+    e.preventDefault();   // no page scroll
+    spaceDown = true;
+    if (!pan) canvas.style.cursor = 'grab';
+  });
+  window.addEventListener('keyup', e => {
+    if (e.code !== 'Space') return;
+    spaceDown = false;
+    if (!pan) canvas.style.cursor = '';
+  });
+
+  // Zoom buttons work about the canvas centre
+  document.getElementById('tilemap-zoom-in')?.addEventListener('click', () => zoomAt(2, canvas.width / 2, canvas.height / 2));
+  document.getElementById('tilemap-zoom-out')?.addEventListener('click', () => zoomAt(0.5, canvas.width / 2, canvas.height / 2));
+  document.getElementById('tilemap-zoom-reset')?.addEventListener('click', () => {
+    Object.assign(view, { x: 0, y: 0, zoom: 1 });
+    redraw();
+  });
+
+  // Follow the canvas's size on the page
+  if (typeof ResizeObserver !== 'undefined') new ResizeObserver(queueRedraw).observe(canvas);
 
   document.getElementById('tilemap-clear')?.addEventListener('click', () => {
-    grid = makeGrid(false);
-    onChange();
+    onBeforeReplace('clear');
+    grid = makeGrid(EMPTY);
+    replaceAll();
   });
 
   document.getElementById('tilemap-fill')?.addEventListener('click', () => {
-    grid = makeGrid(true);
-    onChange();
+    onBeforeReplace('fill');
+    grid = makeGrid(TERRAIN);
+    replaceAll();
+  });
+
+  // Grid size, 1 … MAX_GRID_SIZE cells a side
+  const colsInput = document.getElementById('tilemap-cols');
+  const rowsInput = document.getElementById('tilemap-rows');
+  [colsInput, rowsInput].forEach(input => {
+    if (!input) return;
+    input.max = MAX_GRID_SIZE;
+    input.addEventListener('change', () => {
+      const cols = parseInt(colsInput?.value, 10);
+      const rows = parseInt(rowsInput?.value, 10);
+      if (isNaN(cols) || isNaN(rows)) return;
+      setGridSize(cols, rows);
+      replaceAll();
+    });
+  });
+  setGridSize(gridCols, gridRows);
+
+  // Brush: tileset terrain / background terrain
+  document.querySelectorAll('.tilemap-brush').forEach(btn => {
+    btn.addEventListener('click', () => setBrush(btn.dataset.brush === 'background' ? BACKGROUND : TERRAIN));
+  });
+
+  // Tools: palette buttons, and single-key shortcuts while the tilemap owns the keyboard
+  document.querySelectorAll('.tilemap-tool').forEach(btn => {
+    btn.addEventListener('click', () => setTool(btn.dataset.tool));
   });
+  window.addEventListener('keydown', e => {
+    if (e.ctrlKey || e.metaKey || e.altKey || !ownsKeys(e)) return;
+    if (!TOOL_KEYS[e.key] || isDrawing) return;
+    e.preventDefault();
+    setTool(TOOL_KEYS[e.key]);
+  });
+}
+
+function setBrush(value) {
+  brush = value;
+  document.querySelectorAll('.tilemap-brush').forEach(b => {
+    b.classList.toggle('active', (b.dataset.brush === 'background') === (value === BACKGROUND));
+  });
+}
+
+function setTool(name) {
+  tool = name;
+  document.querySelectorAll('.tilemap-tool').forEach(b => b.classList.toggle('active', b.dataset.tool === name));
 }
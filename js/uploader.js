@@ -1,6 +1,9 @@
 /**
  * uploader.js — Image upload via click and drag & drop.
  *
+ * The dropzones are built from SLOT_GROUPS: each `[data-slot-group]` grid gets
+ * one clone of <template id="dropzone-template"> per slot of its group.
+ *
  * HTML structure (per slot):
  *   <div class="dropzone" id="drop-SLOT">       ← drag target (this module)
  *     <label class="dz-click" for="file-SLOT">  ← click-to-open (browser-native)
@@ -15,15 +18,42 @@
  * This module only needs to:
  *   1. Listen to input `change` to process the selected file.
  *   2. Attach drag events to the outer <div> for drop support.
+ *
+ * Slot images may be animated: an animated GIF/APNG (decoded with
+ * ImageDecoder where the browser has it) or, only when the user opts in, a
+ * horizontal strip of frames at the tile aspect ratio.  The callback then also
+ * receives the frames, first frame included.
  */
 
-const SLOTS = ['main', 'top', 'bottom', 'left', 'right'];
+import { t } from './i18n.js';
 
 /**
- * Initialize all 5 dropzones.
- * @param {function(slot: string, img: ImageBitmap): void} onImageLoaded
+ * Every image slot by upload panel group, with the glyph its empty dropzone
+ * shows.  Slot labels are the i18n keys `uploader.SLOT`.
  */
-export function initUploaders(onImageLoaded) {
+export const SLOT_GROUPS = {
+  // The five images every set is built from
+  edge:       { main: '□', top: '↑', bottom: '↓', left: '←', right: '→' },
+  // Optional hand-drawn corners; tilegen synthesizes any that are missing
+  corner:     { outerNW: '┌', outerNE: '┐', outerSW: '└', outerSE: '┘',
+                innerNW: '◢', innerNE: '◣', innerSW: '◥', innerSE: '◤' },
+  // Optional diagonal sides of hex tiles; tilegen falls back to the edge slots
+  hex:        { hexNE: '↗', hexSE: '↘', hexSW: '↙', hexNW: '↖' },
+  // Main image of the optional background terrain (two-terrain transitions)
+  background: { background: '▦' },
+};
+
+export const SLOTS = Object.values(SLOT_GROUPS).flatMap(group => Object.keys(group));
+
+/**
+ * Build and initialize all dropzones (5 edge slots, 8 optional corner slots, 4
+ * optional hex edge slots and the optional background terrain).  `frames` is null for a still image.
+ * @param {function(slot: string, img: ImageBitmap, frames: ImageBitmap[]|null): void} onImageLoaded
+ * @param {function(): number} stripAspect  width / height of one frame of a still
+ *                                          image strip, or 0 to load still images whole
+ */
+export function initUploaders(onImageLoaded, stripAspect = () => 0) {
+  buildDropzones();
   SLOTS.forEach(slot => {
     const zone  = document.getElementById(`drop-${slot}`);
     if (!zone) return;
@@ -35,7 +65,7 @@ export function initUploaders(onImageLoaded) {
     input.addEventListener('change', async () => {
       const file = input.files?.[0];
       if (file) {
-        await loadFile(slot, file, onImageLoaded);
+        await loadFile(slot, file, onImageLoaded, stripAspect());
         // Reset so same file can be re-selected later
         input.value = '';
       }
@@ -68,21 +98,103 @@ export function initUploaders(onImageLoaded) {
 
       const file = e.dataTransfer?.files?.[0];
       if (file && file.type.startsWith('image/')) {
-        await loadFile(slot, file, onImageLoaded);
+        await loadFile(slot, file, onImageLoaded, stripAspect());
       }
     });
   });
 }
 
+/**
+ * Wire a standalone file input that loads whole images outside the slot grid
+ * (an RPG Maker A2 sheet, slot variants).  `onSheetLoaded` runs once per
+ * selected file, in order.
+ * @param {string} inputId
+ * @param {function(img: ImageBitmap): void} onSheetLoaded
+ */
+export function initSheetImport(inputId, onSheetLoaded) {
+  const input = document.getElementById(inputId);
+  if (!input) return;
+
+  input.addEventListener('change', async () => {
+    for (const file of input.files ?? []) {
+      await loadFile(inputId, file, (_, bitmap) => onSheetLoaded(bitmap));
+    }
+    input.value = '';
+  });
+}
+
 // ─────────────────────────────────────────────────────────────
 // Internal
 // ─────────────────────────────────────────────────────────────
 
-async function loadFile(slot, file, callback) {
+/** Fill each `[data-slot-group]` grid with a dropzone per slot of its group. */
+function buildDropzones() {
+  const template = document.getElementById('dropzone-template');
+  if (!template) return;
+  document.querySelectorAll('[data-slot-group]').forEach(grid => {
+    const icons = SLOT_GROUPS[grid.dataset.slotGroup] ?? {};
+    grid.replaceChildren(...Object.entries(icons).map(([slot, icon]) => {
+      const zone = template.content.firstElementChild.cloneNode(true);
+      const name = zone.querySelector('.dz-name');
+      zone.id           = `drop-${slot}`;
+      zone.dataset.slot = slot;
+      zone.querySelector('.dz-click').htmlFor = `file-${slot}`;
+      zone.querySelector('input[type="file"]').id = `file-${slot}`;
+      zone.querySelector('.dz-icon-char').textContent = icon;
+      name.dataset.i18n = `uploader.${slot}`;
+      name.textContent  = t(name.dataset.i18n);
+      return zone;
+    }));
+  });
+}
+
+/**
+ * Decode `file` and hand it to `callback`.  `aspect` is null for a plain still
+ * image (sheets, variants); otherwise the file may be animated, with `aspect`
+ * as for decodeFrames().
+ */
+async function loadFile(slot, file, callback, aspect = null) {
   try {
-    const bitmap = await createImageBitmap(file);
-    callback(slot, bitmap);
+    const frames = aspect !== null ? await decodeFrames(file, aspect) : [await createImageBitmap(file)];
+    callback(slot, frames[0], frames.length > 1 ? frames : null);
   } catch (err) {
     console.error(`[uploader] Failed to load image for slot "${slot}":`, err);
   }
 }
+
+/**
+ * All frames of an image file: every frame of an animated GIF/APNG or, with
+ * `aspect` > 0, the cells of a horizontal strip whose frames are `aspect`
+ * (width / height) wide — n ≥ 2 of them filling the width exactly.
+ * Anything else is a single still frame.
+ * @returns {Promise<ImageBitmap[]>}
+ */
+async function decodeFrames(file, aspect = 0) {
+  if (typeof ImageDecoder !== 'undefined' && /^image\/(gif|png|apng)$/.test(file.type)) {
+    const decoder = new ImageDecoder({ data: file.stream(), type: file.type });
+    try {
+      await decoder.tracks.ready;
+      const count = decoder.tracks.selectedTrack?.frameCount ?? 1;
+      if (count > 1) {
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+          const { image } = await decoder.decode({ frameIndex: i });
+          frames.push(await createImageBitmap(image));
+          image.close();
+        }
+        return frames;
+      }
+    } finally {
+      decoder.close();
+    }
+  }
+
+  const bitmap = await createImageBitmap(file);
+  if (!(aspect > 0)) return [bitmap];
+  const width = Math.round(bitmap.height * aspect);
+  const n     = bitmap.width / width;
+  if (!Number.isInteger(n) || n < 2) return [bitmap];
+
+  const { height } = bitmap;
+  return Promise.all(Array.from({ length: n }, (_, i) => createImageBitmap(bitmap, i * width, 0, width, height)));
+}